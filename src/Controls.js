@@ -1,10 +1,19 @@
 import React from 'react';
 
 import Vector2 from './Vector2';
-import {zoomInAtPointClamped} from './viewport';
+import {
+  zoomInAtPointClamped,
+  zoomAtPointByFactor,
+  constrainViewportState,
+} from './viewport';
+
+const DEFAULT_MODES = ['select', 'pan'];
+const DEFAULT_ZOOM_STEP = 1.25;
+const DEFAULT_ZOOM_DIMENSIONS = {x: true, y: true};
 
 const Controls = React.memo(function Controls({
   mode,
+  modes = DEFAULT_MODES,
   onModeChange,
   viewportState,
   getDefaultViewportState,
@@ -12,10 +21,38 @@ const Controls = React.memo(function Controls({
   viewportDimensions,
   minZoom,
   maxZoom,
+  // a ViewportAnimator. if provided, reset animates to the default state
+  animator,
+  // limits on panning, see constrainViewportState
+  bounds,
+  // the zoom in and out buttons multiply the zoom by this (or divide it), in
+  // zoomDimensions (eg. {x: true})
+  zoomStep = DEFAULT_ZOOM_STEP,
+  zoomDimensions = DEFAULT_ZOOM_DIMENSIONS,
 }) {
+  const constrain = (s) =>
+    bounds ? constrainViewportState(s, viewportDimensions, bounds) : s;
+
+  const zoomByFactor = (zoomScaleFactor) => {
+    animator?.cancel();
+    onViewportStateChange((s) =>
+      constrain(
+        zoomAtPointByFactor(
+          s,
+          new Vector2({
+            x: viewportDimensions.width / 2,
+            y: viewportDimensions.height / 2,
+          }),
+          zoomScaleFactor,
+          {dimensions: zoomDimensions, minZoom, maxZoom}
+        )
+      )
+    );
+  };
+
   return (
     <>
-      {['select', 'pan'].map((value) => (
+      {modes.map((value) => (
         <button
           key={value}
           style={{
@@ -34,7 +71,8 @@ const Controls = React.memo(function Controls({
           min={minZoom ? minZoom.x : 0.5}
           max={maxZoom ? maxZoom.x : 10}
           step={0.01}
-          onChange={(e) =>
+          onChange={(e) => {
+            animator?.cancel();
             onViewportStateChange((s) => {
               const updatedZoom = s.zoom.clone();
               updatedZoom.x = parseFloat(e.target.value);
@@ -44,15 +82,11 @@ const Controls = React.memo(function Controls({
                 y: viewportDimensions.height / 2,
               });
 
-              return zoomInAtPointClamped(
-                s,
-                zoomPos,
-                updatedZoom,
-                minZoom,
-                maxZoom
+              return constrain(
+                zoomInAtPointClamped(s, zoomPos, updatedZoom, minZoom, maxZoom)
               );
-            })
-          }
+            });
+          }}
         />
       </label>
       <label style={{fontSize: 24}}>
@@ -63,7 +97,8 @@ const Controls = React.memo(function Controls({
           min={minZoom ? minZoom.y : 0.5}
           max={maxZoom ? maxZoom.y : 10}
           step={0.01}
-          onChange={(e) =>
+          onChange={(e) => {
+            animator?.cancel();
             onViewportStateChange((s) => {
               const updatedZoom = s.zoom.clone();
               updatedZoom.y = parseFloat(e.target.value);
@@ -73,20 +108,28 @@ const Controls = React.memo(function Controls({
                 y: viewportDimensions.height / 2,
               });
 
-              return zoomInAtPointClamped(
-                s,
-                zoomPos,
-                updatedZoom,
-                minZoom,
-                maxZoom
+              return constrain(
+                zoomInAtPointClamped(s, zoomPos, updatedZoom, minZoom, maxZoom)
               );
-            })
-          }
+            });
+          }}
         />
       </label>
+      <button title="Zoom out" onClick={() => zoomByFactor(1 / zoomStep)}>
+        −
+      </button>
+      <button title="Zoom in" onClick={() => zoomByFactor(zoomStep)}>
+        +
+      </button>
       {getDefaultViewportState && (
         <button
-          onClick={() => onViewportStateChange(getDefaultViewportState())}
+          onClick={() => {
+            if (animator) {
+              animator.animateTo(viewportState, getDefaultViewportState());
+            } else {
+              onViewportStateChange(getDefaultViewportState());
+            }
+          }}
         >
           reset
         </button>
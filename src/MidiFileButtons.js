@@ -0,0 +1,58 @@
+import React from 'react';
+
+const {useRef} = React;
+
+// how long to keep an exported file's object url, in ms. revoking it straight
+// after starting the download can cancel the download in some browsers
+const REVOKE_URL_DELAY = 10000;
+
+// download the file created by getMidiFile (which returns the bytes), or upload
+// one to pass to onImport(bytes, fileName). onImportError(error, fileName) is
+// called if the uploaded file can't be read
+const MidiFileButtons = React.memo(function MidiFileButtons({
+  getMidiFile,
+  onImport,
+  onImportError,
+  fileName = 'sequence.mid',
+  status,
+}) {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      {status && <span style={{fontSize: 12}}>{status} </span>}
+      <button
+        onClick={() => {
+          const blob = new Blob([getMidiFile()], {type: 'audio/midi'});
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = fileName;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(url), REVOKE_URL_DELAY);
+        }}
+      >
+        export midi
+      </button>
+      <button onClick={() => inputRef.current?.click()}>import midi</button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".mid,.midi,audio/midi"
+        style={{display: 'none'}}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          // allow importing the same file again
+          e.target.value = '';
+          if (!file) return;
+          file.arrayBuffer().then(
+            (buffer) => onImport(new Uint8Array(buffer), file.name),
+            (error) => onImportError?.(error, file.name)
+          );
+        }}
+      />
+    </>
+  );
+});
+
+export default MidiFileButtons;
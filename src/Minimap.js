@@ -0,0 +1,143 @@
+import React from 'react';
+
+import {
+  ViewportTransformer,
+  makeViewportStateFromExtents,
+  getVisibleWorldAABB,
+  constrainViewportState,
+} from './viewport';
+import {useCanvasContext2d, clearCanvas} from './canvasUtils';
+import {getMouseEventPos} from './mouseUtils';
+import {useDevicePixelRatio} from './windowUtils';
+
+const {useEffect, useMemo, useRef} = React;
+
+const DEFAULT_WIDTH = 200;
+const DEFAULT_HEIGHT = 60;
+
+// an overview of all of the content, with the region which is visible in the
+// main view shown as a rect. clicking moves the view to be centered there, and
+// dragging pans it. extents are {min, max} of the content in world coords, and
+// drawContent(ctx, viewport) draws it, through a ViewportTransformer which fits
+// the extents in the minimap
+const Minimap = React.memo(function Minimap({
+  extents,
+  drawContent,
+  viewportState,
+  onViewportStateChange,
+  viewportDimensions,
+  width = DEFAULT_WIDTH,
+  height = DEFAULT_HEIGHT,
+  // a ViewportAnimator, to stop any animation when the minimap is used
+  animator,
+  // limits on panning, see constrainViewportState
+  bounds,
+}) {
+  const {canvasRef, ctx} = useCanvasContext2d();
+  const dpr = useDevicePixelRatio();
+  // while dragging, the pointer and its offset from the pan, in world coords
+  const dragRef = useRef(null);
+
+  const minimapViewport = useMemo(
+    () =>
+      new ViewportTransformer(
+        makeViewportStateFromExtents(
+          {
+            min: extents.min,
+            // avoid an infinite zoom when there's no content
+            max: {
+              x: Math.max(extents.max.x, extents.min.x + 1),
+              y: Math.max(extents.max.y, extents.min.y + 1),
+            },
+          },
+          {width, height}
+        )
+      ),
+    [extents, width, height]
+  );
+
+  useEffect(() => {
+    if (!ctx) return;
+    clearCanvas(ctx, {width, height}, dpr);
+    drawContent?.(ctx, minimapViewport);
+  }, [ctx, drawContent, minimapViewport, width, height, dpr]);
+
+  const visible = getVisibleWorldAABB(
+    new ViewportTransformer(viewportState),
+    viewportDimensions
+  );
+  const visibleMin = minimapViewport.positionToScreen(visible.min);
+  const visibleMax = minimapViewport.positionToScreen(visible.max);
+
+  const panTo = (pan) =>
+    onViewportStateChange((s) => {
+      const updated = {...s, pan};
+      return bounds
+        ? constrainViewportState(updated, viewportDimensions, bounds)
+        : updated;
+    });
+
+  const getWorldPos = (e) =>
+    minimapViewport.positionFromScreen(getMouseEventPos(e, e.currentTarget));
+
+  return (
+    <div
+      style={{
+        position: 'relative',
+        width,
+        height,
+        overflow: 'hidden',
+        touchAction: 'none',
+        cursor: 'pointer',
+        background: '#111',
+      }}
+      onPointerDown={(e) => {
+        if (!e.isPrimary) return;
+        animator?.cancel();
+        e.currentTarget.setPointerCapture(e.pointerId);
+
+        const pos = getWorldPos(e);
+        const onVisibleRect =
+          pos.x >= visible.min.x &&
+          pos.x <= visible.max.x &&
+          pos.y >= visible.min.y &&
+          pos.y <= visible.max.y;
+        // drag the visible rect from where it was grabbed, or from its center
+        // if the click was outside it
+        const offset = onVisibleRect
+          ? pos.clone().sub(visible.min)
+          : visible.size().div({x: 2, y: 2});
+        dragRef.current = {pointerId: e.pointerId, offset};
+        if (!onVisibleRect) {
+          panTo(pos.sub(offset));
+        }
+      }}
+      onPointerMove={(e) => {
+        if (dragRef.current?.pointerId !== e.pointerId) return;
+        panTo(getWorldPos(e).sub(dragRef.current.offset));
+      }}
+      onPointerUp={() => {
+        dragRef.current = null;
+      }}
+      onPointerCancel={() => {
+        dragRef.current = null;
+      }}
+    >
+      <canvas ref={canvasRef} style={{display: 'block'}} />
+      <div
+        style={{
+          position: 'absolute',
+          left: visibleMin.x,
+          top: visibleMin.y,
+          width: visibleMax.x - visibleMin.x,
+          height: visibleMax.y - visibleMin.y,
+          boxSizing: 'border-box',
+          border: '1px solid white',
+          pointerEvents: 'none',
+        }}
+      />
+    </div>
+  );
+});
+
+export default Minimap;
@@ -0,0 +1,111 @@
+import Vector2 from './Vector2';
+import Rect from './Rect';
+import AABB from './AABB';
+
+// whether segment a1-a2 crosses segment b1-b2
+function segmentsIntersect(a1, a2, b1, b2) {
+  const cross = (o, p, q) =>
+    (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+  return (
+    ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+  );
+}
+
+function rectCorners({position, size}) {
+  return [
+    new Vector2(position),
+    new Vector2({x: position.x + size.x, y: position.y}),
+    new Vector2({x: position.x + size.x, y: position.y + size.y}),
+    new Vector2({x: position.x, y: position.y + size.y}),
+  ];
+}
+
+function edges(points) {
+  return points.map((point, i) => [point, points[(i + 1) % points.length]]);
+}
+
+// a closed shape made of straight edges between points, which can be concave
+// (eg. a freeform lasso)
+export default class Polygon {
+  constructor(points = []) {
+    this.points = points.map((point) => new Vector2(point));
+  }
+
+  getAABB() {
+    return new AABB({
+      min: {
+        x: Math.min(...this.points.map((point) => point.x)),
+        y: Math.min(...this.points.map((point) => point.y)),
+      },
+      max: {
+        x: Math.max(...this.points.map((point) => point.x)),
+        y: Math.max(...this.points.map((point) => point.y)),
+      },
+    });
+  }
+
+  getBoundingRect() {
+    return Rect.fromAABB(this.getAABB());
+  }
+
+  // positive if the points go clockwise on screen (where y points down), or
+  // negative if they go anticlockwise
+  getSignedArea() {
+    return (
+      edges(this.points).reduce(
+        (sum, [a, b]) => sum + (a.x * b.y - b.x * a.y),
+        0
+      ) / 2
+    );
+  }
+
+  containsPoint(point) {
+    // count how many edges a ray going right from the point crosses
+    let inside = false;
+    edges(this.points).forEach(([a, b]) => {
+      const aAbove = a.y > point.y;
+      const bAbove = b.y > point.y;
+      // the edge spans the ray's y, and crosses it to the right of the point
+      if (
+        aAbove !== bAbove &&
+        point.x < a.x + ((point.y - a.y) / (b.y - a.y)) * (b.x - a.x)
+      ) {
+        inside = !inside;
+      }
+    });
+    return inside;
+  }
+
+  edgesIntersectRect(rect) {
+    const rectEdges = edges(rectCorners(rect));
+    return edges(this.points).some(([a, b]) =>
+      rectEdges.some(([c, d]) => segmentsIntersect(a, b, c, d))
+    );
+  }
+
+  // whether any part of the rect is inside the polygon
+  intersectsRect(rect) {
+    if (this.points.length < 3) return false;
+    return (
+      rectCorners(rect).some((corner) => this.containsPoint(corner)) ||
+      this.points.some((point) => rect.containsPoint(point)) ||
+      this.edgesIntersectRect(rect)
+    );
+  }
+
+  // whether all of the rect is inside the polygon
+  containsRect(rect) {
+    if (this.points.length < 3) return false;
+    return (
+      rectCorners(rect).every((corner) => this.containsPoint(corner)) &&
+      // the polygon could be concave, with a part of it cutting into the rect
+      !this.points.some((point) => rect.containsPoint(point)) &&
+      !this.edgesIntersectRect(rect)
+    );
+  }
+}
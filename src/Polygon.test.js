@@ -0,0 +1,95 @@
+import Polygon from './Polygon';
+import Rect from './Rect';
+import {resolveLassoPolicy} from './lasso';
+
+const rect = (x, y, width, height) =>
+  new Rect({position: {x, y}, size: {x: width, y: height}});
+
+// a U shape, open at the top, with a notch from x 10 to 20 down to y 20
+const uShape = new Polygon([
+  {x: 0, y: 0},
+  {x: 10, y: 0},
+  {x: 10, y: 20},
+  {x: 20, y: 20},
+  {x: 20, y: 0},
+  {x: 30, y: 0},
+  {x: 30, y: 30},
+  {x: 0, y: 30},
+]);
+
+describe('Polygon', () => {
+  it('contains points inside a concave polygon, but not in its notch', () => {
+    expect(uShape.containsPoint({x: 5, y: 5})).toBe(true);
+    expect(uShape.containsPoint({x: 25, y: 5})).toBe(true);
+    expect(uShape.containsPoint({x: 15, y: 25})).toBe(true);
+    expect(uShape.containsPoint({x: 15, y: 5})).toBe(false);
+    expect(uShape.containsPoint({x: 40, y: 5})).toBe(false);
+  });
+
+  it('intersects rects in its notch only if they reach the polygon', () => {
+    expect(uShape.intersectsRect(rect(12, 2, 6, 6))).toBe(false);
+    expect(uShape.intersectsRect(rect(12, 15, 6, 10))).toBe(true);
+  });
+
+  it('intersects rects which an edge cuts through, without containing them', () => {
+    // a thin triangle whose edges cross the rect, with no corners in it either
+    // way round
+    const triangle = new Polygon([
+      {x: -10, y: 4},
+      {x: 30, y: 4},
+      {x: 30, y: 6},
+    ]);
+    const crossed = rect(5, 0, 10, 10);
+    expect(triangle.intersectsRect(crossed)).toBe(true);
+    expect(triangle.containsRect(crossed)).toBe(false);
+  });
+
+  it('contains rects only if no part of the polygon cuts into them', () => {
+    expect(uShape.containsRect(rect(2, 2, 6, 6))).toBe(true);
+    expect(uShape.containsRect(rect(2, 22, 26, 6))).toBe(true);
+    // all the corners are inside, but the notch cuts into the top
+    expect(uShape.containsRect(rect(2, 2, 26, 26))).toBe(false);
+  });
+
+  it('selects nothing with fewer than 3 points', () => {
+    const line = new Polygon([
+      {x: 0, y: 5},
+      {x: 20, y: 5},
+    ]);
+    expect(line.intersectsRect(rect(5, 0, 10, 10))).toBe(false);
+    expect(line.containsRect(rect(5, 0, 10, 10))).toBe(false);
+    expect(new Polygon([]).intersectsRect(rect(0, 0, 10, 10))).toBe(false);
+  });
+
+  it('gives a positive area when drawn clockwise on screen', () => {
+    const clockwise = new Polygon([
+      {x: 0, y: 0},
+      {x: 10, y: 0},
+      {x: 10, y: 10},
+      {x: 0, y: 10},
+    ]);
+    expect(clockwise.getSignedArea()).toBe(100);
+    expect(new Polygon([...clockwise.points].reverse()).getSignedArea()).toBe(
+      -100
+    );
+  });
+});
+
+describe('resolveLassoPolicy', () => {
+  const clockwise = new Polygon([
+    {x: 0, y: 0},
+    {x: 10, y: 0},
+    {x: 0, y: 10},
+  ]);
+  const anticlockwise = new Polygon([...clockwise.points].reverse());
+
+  it('contains when drawn clockwise and intersects when drawn anticlockwise', () => {
+    expect(resolveLassoPolicy('directional', clockwise)).toBe('contain');
+    expect(resolveLassoPolicy('directional', anticlockwise)).toBe('intersect');
+  });
+
+  it('uses fixed policies, or intersect by default', () => {
+    expect(resolveLassoPolicy('contain', anticlockwise)).toBe('contain');
+    expect(resolveLassoPolicy(undefined, clockwise)).toBe('intersect');
+  });
+});
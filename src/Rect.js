@@ -24,10 +24,31 @@ export default class Rect {
     return false;
   }
 
+  // true if the rects overlap or touch
   intersectsRect(other) {
     return collision(this, other);
   }
 
+  // true if the rects overlap by some amount, not if they just touch
+  overlapsRect(other) {
+    return (
+      this.position.x < other.position.x + other.size.x &&
+      other.position.x < this.position.x + this.size.x &&
+      this.position.y < other.position.y + other.size.y &&
+      other.position.y < this.position.y + this.size.y
+    );
+  }
+
+  // true if the other rect is entirely inside this one
+  containsRect(other) {
+    return (
+      other.position.x >= this.position.x &&
+      other.position.y >= this.position.y &&
+      other.position.x + other.size.x <= this.position.x + this.size.x &&
+      other.position.y + other.size.y <= this.position.y + this.size.y
+    );
+  }
+
   clone() {
     return new Rect({position: this.position, size: this.size});
   }
@@ -6,31 +6,88 @@ import {
   DragPanBehavior,
   WheelZoomBehavior,
   WheelScrollBehavior,
+  PinchZoomBehavior,
   makeViewportStateFromExtents,
+  zoomAtPointByFactor,
+  zoomInAtPointClamped,
+  getVisibleWorldAABB,
+  constrainViewportState,
+  ZoomRegionBehavior,
 } from './viewport';
 
-import {useCanvasContext2d, drawRect, drawTextRect} from './canvasUtils';
+import {
+  useCanvasContext2d,
+  useAnimationFrameRender,
+  drawRect,
+  clearCanvas,
+} from './canvasUtils';
 
-import {getIntersectingEvent, findIntersectingEvents} from './renderableRect';
+import {
+  getIntersectingEventEdge,
+  findIntersectingEvents,
+  findEventsInPolygon,
+} from './renderableRect';
+import {Scene, GroupNode, RectNode, TextNode, LineNode} from './scene';
+import {updateGridLines, updateRuler, RulerBehavior} from './ruler';
 
-import {useWindowDimensions, getDPR} from './windowUtils';
+import {useElementDimensions} from './windowUtils';
 
 import {BehaviorController, useBehaviors} from './behavior';
+import {CommandRegistry, KeyboardShortcutBehavior} from './commands';
+import useRefOnce from './useRefOnce';
+import {
+  useViewportAnimator,
+  InterruptAnimationBehavior,
+} from './viewportAnimation';
+import {DrawBehavior} from './draw';
+import {LassoSelectBehavior, Lasso} from './lasso';
+import {EdgeAutoScrollBehavior} from './autoScroll';
+import {ClipboardBehavior} from './clipboard';
 
 import Vector2 from './Vector2';
 import Rect from './Rect';
-import {range, scaleDiscreteQuantized} from './utils';
+import Polygon from './Polygon';
+import SpatialIndex from './SpatialIndex';
+import {scaleDiscreteQuantized, uniqueId, getTicks} from './utils';
 
-import {DragEventBehavior, SelectBoxBehavior, SelectBox} from './selection';
+import {
+  DragEventBehavior,
+  EdgeResizeBehavior,
+  SelectBoxBehavior,
+  SelectBox,
+  updateSelection,
+  isRectSelected,
+} from './selection';
 
 import useLocalStorageAsync from './useLocalStorageAsync';
+import useUndoableState from './useUndoableState';
 import Controls from './Controls';
+import Minimap from './Minimap';
 import {TooltipBehavior, Tooltip} from './Tooltip';
 
 import {wrap} from './mathUtils';
+import {
+  DEFAULT_SCALE_OPTIONS,
+  makeScale,
+  makeDegreeRemapper,
+  midiToFrequency,
+  moveEvent,
+  canMoveEvents,
+} from './scales';
+import {useTransport, useTransportPosition} from './transport';
+import TransportControls from './TransportControls';
+import ScaleControls from './ScaleControls';
+import MidiFileButtons from './MidiFileButtons';
+import {
+  writeMidiFile,
+  parseMidiFile,
+  eventsToMidiNotes,
+  midiNotesToEvents,
+} from './midi';
 
 const {useEffect, useMemo, useRef, useState, useCallback} = React;
 
+// colors for the degrees of a scale in an octave
 const colors = [
   '#ff1e47', // r
   '#ffa400', // o
@@ -41,39 +98,90 @@ const colors = [
   '#bb71ff', // v
 ];
 
+// spread the colors over the degrees of the scale, so the scale goes from red
+// to violet whatever its size
+function getDegreeColor(degree, scale) {
+  const degreeInOctave = wrap(degree, scale.intervals.length);
+  return colors[
+    Math.floor((degreeInOctave * colors.length) / scale.intervals.length)
+  ];
+}
+
 const TIMELINE_ROW_HEIGHT = 20;
 const QUARTER_NOTE_WIDTH = 10;
+const BEATS_PER_BAR = 4;
 const MIN_ZOOM_SCALE = 1;
+const MAX_ZOOM_SCALE = 10;
+const KEYBOARD_ZOOM_FACTOR = 1.25;
+const HISTORY_LIMIT = 100;
+// allowed spacing of the grid lines and the ruler, in quarter notes. beyond a
+// bar, they're a whole number of bars apart
+const GRID_STEPS = [1, 2, 4, 8, 16, 32, 64, 128, 256];
+// in screen pixels
+const MIN_GRID_SPACING = 8;
+const MIN_RULER_LABEL_SPACING = 40;
+const BAR_LINE_STYLE = {strokeStyle: '#fff', globalAlpha: 0.3};
+const BEAT_LINE_STYLE = {strokeStyle: '#fff', globalAlpha: 0.08};
+// in screen pixels
+const PAN_BOUNDS_PADDING = {x: 200, y: TIMELINE_ROW_HEIGHT * 2};
+// space left around the selection when zooming to fit it, in screen pixels
+const ZOOM_TO_SELECTION_PADDING = {x: 40, y: TIMELINE_ROW_HEIGHT};
+// in quarter notes
+const MIN_NOTE_DURATION = 1;
+// how close to the edge of a note (in pixels) you need to be to resize it
+const RESIZE_EDGE_THRESHOLD = 4;
+// whether changing the selection on its own adds an undo history entry.
+// otherwise selection is only restored along with the edit it was made with
+const UNDOABLE_SELECTION = false;
+// drag the select box right to select notes entirely inside it, or left to
+// select notes it overlaps
+const SELECT_BOX_POLICY = 'directional';
+// likewise, draw the lasso clockwise to select notes entirely inside it, or
+// anticlockwise to select notes it overlaps
+const LASSO_POLICY = 'directional';
 
 const MIN_ZOOM = new Vector2({
   x: MIN_ZOOM_SCALE,
   y: MIN_ZOOM_SCALE,
 });
-
-const scaleDegrees = range(7);
+const MAX_ZOOM = new Vector2({
+  x: MAX_ZOOM_SCALE,
+  y: MAX_ZOOM_SCALE,
+});
 
 const initialEvents = [
   {degree: 0, start: 0, duration: 1},
   {degree: 3, start: 4, duration: 1},
   {degree: 5, start: 5, duration: 2},
   {degree: 6, start: 6, duration: 3},
-].map((ev, index) => ({...ev, id: index}));
+].map((ev) => ({...ev, id: uniqueId()}));
 
-function getExtents(events) {
+const MODES = ['select', 'lasso', 'draw', 'zoom', 'pan'];
+
+// eg. '3' for the start of bar 3, '3:2' for its second beat
+function formatBarsBeats(quarterNotes) {
+  const bar = Math.floor(quarterNotes / BEATS_PER_BAR) + 1;
+  const beat = wrap(quarterNotes, BEATS_PER_BAR) + 1;
+  return beat === 1 ? String(bar) : `${bar}:${beat}`;
+}
+
+// the rows are always shown for every degree of the scale, plus any degrees
+// outside the scale's range which have events
+function getExtents(events, degreeCount) {
   if (events.length === 0) {
     return {
       start: 0,
       end: 0,
       size: 0,
       minDegree: 0,
-      maxDegree: scaleDegrees.length - 1,
+      maxDegree: degreeCount - 1,
     };
   }
 
   const minDegree = events.reduce((acc, ev) => Math.min(acc, ev.degree), 0);
   const maxDegree = events.reduce(
     (acc, ev) => Math.max(acc, ev.degree),
-    scaleDegrees.length - 1
+    degreeCount - 1
   );
 
   const start = events.reduce((acc, ev) => Math.min(acc, ev.start), Infinity);
@@ -90,6 +198,27 @@ function getExtents(events) {
   };
 }
 
+const CLIPBOARD_PAYLOAD_TYPE = 'roygbiv/events';
+
+// whether a pasted item can be used as an event
+function isValidClipboardEvent(item) {
+  return (
+    Number.isInteger(item.degree) &&
+    Number.isFinite(item.start) &&
+    Number.isFinite(item.duration) &&
+    item.duration > 0
+  );
+}
+
+// copies of events with new ids, moved in time by offset
+function cloneEvents(events, offset) {
+  return events.map((ev) => ({
+    ...ev,
+    start: ev.start + offset,
+    id: uniqueId(),
+  }));
+}
+
 const LOCALSTORAGE_CONFIG = {
   baseKey: 'roygbiv',
   schemaVersion: '2',
@@ -101,21 +230,62 @@ function TooltipContent({event}) {
 
 function App() {
   const {canvasRef, ctx, canvas} = useCanvasContext2d();
-  const viewportDimensions = useWindowDimensions();
+  // the canvas fills the container, so the view is the container's size
+  const {
+    ref: containerRef,
+    dimensions: viewportDimensions,
+    dpr,
+  } = useElementDimensions({
+    // until the container is measured
+    initialDimensions: {width: window.innerWidth, height: window.innerHeight},
+  });
 
-  const [events, setEvents] = useState(initialEvents);
+  const [sequence, setSequence, history] = useUndoableState(
+    {
+      events: initialEvents,
+      selection: new Set(),
+      // part of the undo history, as changing it changes the events' degrees
+      scaleOptions: DEFAULT_SCALE_OPTIONS,
+    },
+    {limit: HISTORY_LIMIT}
+  );
+  const {events, selection, scaleOptions} = sequence;
+  const scale = useMemo(() => makeScale(scaleOptions), [scaleOptions]);
+  const setEvents = useCallback(
+    (update) =>
+      setSequence((sequence) => ({
+        ...sequence,
+        events: typeof update === 'function' ? update(sequence.events) : update,
+      })),
+    [setSequence]
+  );
+  const setSelection = useCallback(
+    (update) =>
+      setSequence(
+        (sequence) => ({
+          ...sequence,
+          selection:
+            typeof update === 'function' ? update(sequence.selection) : update,
+        }),
+        {record: UNDOABLE_SELECTION}
+      ),
+    [setSequence]
+  );
   const eventsMap = useMemo(() => new Map(events.map((ev) => [ev.id, ev])), [
     events,
   ]);
 
-  const extents = useMemo(() => getExtents(events), [events]);
+  const extents = useMemo(() => getExtents(events, scale.degreeCount), [
+    events,
+    scale.degreeCount,
+  ]);
 
   // map from pixels (unzoomed) to scale degrees
   const quantizerY = useMemo(
     () =>
       scaleDiscreteQuantized(
-        [0, (scaleDegrees.length - 1) * TIMELINE_ROW_HEIGHT], // continuous
-        [scaleDegrees[0], scaleDegrees[scaleDegrees.length - 1]], // discrete
+        [0, TIMELINE_ROW_HEIGHT], // continuous
+        [0, 1], // discrete
         {
           stepSize: 1,
           round: Math.round,
@@ -145,38 +315,102 @@ function App() {
     []
   );
 
-  const renderedRectsRef = useRef([]);
-  const [selection, setSelection] = useState(new Set());
+  // like quantizerX and quantizerY, but map to the cell containing a position,
+  // rather than the nearest grid line
+  const cellQuantizerY = useMemo(
+    () =>
+      scaleDiscreteQuantized(
+        [0, TIMELINE_ROW_HEIGHT], // continuous
+        [0, 1], // discrete
+        {
+          stepSize: 1,
+          round: Math.floor,
+          alias: {
+            domain: 'pixels',
+            range: 'scaleDegrees',
+          },
+        }
+      ),
+    []
+  );
+  const cellQuantizerX = useMemo(
+    () =>
+      scaleDiscreteQuantized(
+        [0, QUARTER_NOTE_WIDTH], // continuous
+        [0, 1], // discrete
+        {
+          stepSize: 1,
+          round: Math.floor,
+          alias: {
+            domain: 'pixels',
+            range: 'quarterNotes',
+          },
+        }
+      ),
+    []
+  );
+
+  // the rect of a note, in world coords
+  const getEventRect = useCallback(
+    (ev) =>
+      new Rect({
+        position: {
+          x: quantizerX.to('pixels', ev.start),
+          y: quantizerY.to('pixels', ev.degree),
+        },
+        size: {
+          x: quantizerX.to('pixels', ev.duration),
+          y: quantizerY.to('pixels', 1),
+        },
+      }),
+    [quantizerX, quantizerY]
+  );
+
+  // what's drawn on the canvas, in layers from back to front. the notes are
+  // hit testable
+  const {scene, layers: sceneLayers} = useRefOnce(() => {
+    const scene = new Scene();
+    return {
+      scene,
+      layers: {
+        rows: scene.add(new GroupNode({zIndex: 0})),
+        grid: scene.add(new GroupNode({zIndex: 1})),
+        notes: scene.add(new GroupNode({zIndex: 2})),
+        // the loop region and playhead
+        overlay: scene.add(new GroupNode({zIndex: 2})),
+        ruler: scene.add(new GroupNode({zIndex: 3})),
+      },
+    };
+  }).current;
   const [mode, setMode] = useLocalStorageAsync(
     'mode',
     'select',
     LOCALSTORAGE_CONFIG
   );
 
-  const getViewportStateZoomedToExtents = useCallback(
-    () =>
+  // fit {start, end, minDegree, maxDegree} (eg. from getExtents) in the view.
+  // options are as for makeViewportStateFromExtents
+  const getViewportStateFittingNotes = useCallback(
+    ({start, end, minDegree, maxDegree}, options) =>
       makeViewportStateFromExtents(
         {
           min: {
-            x: quantizerX.to('pixels', extents.start),
-            y: quantizerY.to('pixels', extents.minDegree),
+            x: quantizerX.to('pixels', start),
+            y: quantizerY.to('pixels', minDegree),
           },
           max: {
-            x: quantizerX.to('pixels', extents.end),
-            y: quantizerY.to('pixels', extents.maxDegree + 1),
+            x: quantizerX.to('pixels', end),
+            y: quantizerY.to('pixels', maxDegree + 1),
           },
         },
-        viewportDimensions
+        viewportDimensions,
+        options
       ),
-    [
-      quantizerX,
-      quantizerY,
-      extents.start,
-      extents.minDegree,
-      extents.end,
-      extents.maxDegree,
-      viewportDimensions,
-    ]
+    [quantizerX, quantizerY, viewportDimensions]
+  );
+  const getViewportStateZoomedToExtents = useCallback(
+    () => getViewportStateFittingNotes(extents),
+    [getViewportStateFittingNotes, extents]
   );
 
   const [viewportState, setViewportState] = useLocalStorageAsync(
@@ -190,6 +424,162 @@ function App() {
 
   const viewport = useViewport(viewportState);
 
+  // the region covered by the rows, in world coords
+  const contentExtents = useMemo(
+    () => ({
+      // notes can be moved before the start
+      min: {
+        x: quantizerX.to('pixels', Math.min(0, extents.start)),
+        y: quantizerY.to('pixels', extents.minDegree),
+      },
+      max: {
+        x: quantizerX.to(
+          'pixels',
+          Math.ceil(extents.end / BEATS_PER_BAR) * BEATS_PER_BAR
+        ),
+        y: quantizerY.to('pixels', extents.maxDegree + 1),
+      },
+    }),
+    [
+      quantizerX,
+      quantizerY,
+      extents.start,
+      extents.end,
+      extents.minDegree,
+      extents.maxDegree,
+    ]
+  );
+  // the view can only be panned around the rows, plus some padding
+  const panBounds = useMemo(
+    () => ({...contentExtents, padding: PAN_BOUNDS_PADDING}),
+    [contentExtents]
+  );
+  const viewportAnimator = useViewportAnimator(setViewportState);
+
+  // playback
+  const [tempo, setTempo] = useLocalStorageAsync(
+    'tempo',
+    120,
+    LOCALSTORAGE_CONFIG
+  );
+  const [looping, setLooping] = useLocalStorageAsync(
+    'looping',
+    false,
+    LOCALSTORAGE_CONFIG
+  );
+  const [followPlayhead, setFollowPlayhead] = useLocalStorageAsync(
+    'followPlayhead',
+    true,
+    LOCALSTORAGE_CONFIG
+  );
+  // change the scale. changing its intervals moves events to the nearest pitch
+  // in the new scale, changing its root transposes them (see
+  // makeDegreeRemapper)
+  const setScaleOptions = useCallback(
+    (updatedScaleOptions) =>
+      setSequence((sequence) => {
+        const remap = makeDegreeRemapper(
+          sequence.scaleOptions,
+          updatedScaleOptions
+        );
+        return {
+          ...sequence,
+          scaleOptions: updatedScaleOptions,
+          events: sequence.events.map((ev) => {
+            const degree = remap(ev.degree);
+            return degree === ev.degree ? ev : {...ev, degree};
+          }),
+        };
+      }),
+    [setSequence]
+  );
+  // {start, end} in quarter notes, set with the transport controls or by
+  // dragging on the ruler. until then, the bars containing the notes are looped
+  const [customLoopRegion, setLoopRegion] = useLocalStorageAsync(
+    'loopRegion',
+    null,
+    LOCALSTORAGE_CONFIG
+  );
+  const loopRegion = useMemo(
+    () =>
+      customLoopRegion ?? {
+        start: Math.floor(extents.start / BEATS_PER_BAR) * BEATS_PER_BAR,
+        end: Math.ceil(extents.end / BEATS_PER_BAR) * BEATS_PER_BAR,
+      },
+    [customLoopRegion, extents.start, extents.end]
+  );
+  const getFrequency = useCallback(
+    (ev) => midiToFrequency(scale.degreeToMidi(ev.degree)),
+    [scale]
+  );
+  const transport = useTransport({
+    events,
+    tempo,
+    loop: looping ? loopRegion : null,
+    getFrequency,
+  });
+  const playheadPosition = useTransportPosition(transport);
+
+  // midi files
+  const [midiStatus, setMidiStatus] = useState(null);
+  const getMidiFile = useCallback(
+    () =>
+      writeMidiFile(eventsToMidiNotes(events, scale.root, scale.intervals), {
+        tempo,
+      }),
+    [events, scale, tempo]
+  );
+  const onImportMidi = useCallback(
+    (bytes, fileName) => {
+      let midiFile;
+      try {
+        midiFile = parseMidiFile(bytes);
+      } catch (error) {
+        setMidiStatus(`couldn't import ${fileName}: ${error.message}`);
+        return;
+      }
+
+      const {events: importedEvents, outOfScale} = midiNotesToEvents(
+        midiFile.notes,
+        scale.root,
+        scale.intervals
+      );
+      setEvents(importedEvents.map((ev) => ({...ev, id: uniqueId()})));
+      setSelection(new Set());
+      setTempo(Math.round(midiFile.tempo));
+      setMidiStatus(
+        outOfScale.length > 0
+          ? `${outOfScale.length} of ${midiFile.notes.length} notes weren't in the scale, moved to the nearest degree`
+          : null
+      );
+    },
+    [scale, setEvents, setSelection, setTempo]
+  );
+  const onImportMidiError = useCallback((error, fileName) => {
+    setMidiStatus(`couldn't read ${fileName}: ${error.message}`);
+  }, []);
+
+  // when the playhead goes out of view, move the view to the next 'page'
+  useEffect(() => {
+    if (!transport.playing || !followPlayhead) return;
+    const playheadX = quantizerX.to('pixels', playheadPosition);
+    const playheadScreenX = viewport.positionToScreen({x: playheadX, y: 0}).x;
+    if (playheadScreenX < 0 || playheadScreenX > viewportDimensions.width) {
+      setViewportState((s) => ({
+        ...s,
+        pan: new Vector2({x: playheadX, y: s.pan.y}),
+      }));
+    }
+  }, [
+    transport.playing,
+    followPlayhead,
+    playheadPosition,
+    quantizerX,
+    viewport,
+    viewportDimensions.width,
+    setViewportState,
+  ]);
+
   const onDragMove = useCallback(
     (draggedEvents, pos) => {
       const delta = pos.to.clone().sub(pos.from);
@@ -221,37 +611,553 @@ function App() {
         })
       );
     },
-    [viewport, quantizerX, quantizerY]
+    [viewport, quantizerX, quantizerY, setEvents]
   );
 
-  const onSelectRect = useCallback((selectBoxRect) => {
-    const intersecting = findIntersectingEvents(
-      selectBoxRect,
-      renderedRectsRef.current
-    );
+  const onResizeMove = useCallback(
+    (resizedEvents, edge, pos) => {
+      const deltaXQuantized = quantizerX.to(
+        'quarterNotes',
+        viewport.sizeXFromScreen(pos.to.x - pos.from.x)
+      );
 
-    setSelection(new Set(intersecting.map((ev) => ev.id)));
-  }, []);
+      const resizedEventsMap = new Map(resizedEvents.map((ev) => [ev.id, ev]));
 
-  const getEventAtPos = useCallback(
-    (pos) => getIntersectingEvent(pos, renderedRectsRef.current),
-    []
+      setEvents((events) =>
+        events.map((ev) => {
+          if (!resizedEventsMap.has(ev.id)) return ev;
+
+          // as the delta is since resize start, we need to use the copy of the
+          // event at resize start
+          const eventBeforeResize = resizedEventsMap.get(ev.id);
+          if (edge === 'left') {
+            // move the start, keeping the end in place
+            const end = eventBeforeResize.start + eventBeforeResize.duration;
+            const start = Math.min(
+              eventBeforeResize.start + deltaXQuantized,
+              end - MIN_NOTE_DURATION
+            );
+            return {...ev, start, duration: end - start};
+          }
+          return {
+            ...ev,
+            duration: Math.max(
+              eventBeforeResize.duration + deltaXQuantized,
+              MIN_NOTE_DURATION
+            ),
+          };
+        })
+      );
+    },
+    [viewport, quantizerX, setEvents]
+  );
+
+  const getCellAtPos = useCallback(
+    (pos) => {
+      const worldPos = viewport.positionFromScreen(pos);
+      return {
+        start: cellQuantizerX.to('quarterNotes', worldPos.x),
+        degree: cellQuantizerY.to('scaleDegrees', worldPos.y),
+      };
+    },
+    [viewport, cellQuantizerX, cellQuantizerY]
   );
 
+  // the quarter note at a screen x position on the ruler
+  const getRulerPosition = useCallback(
+    (x) =>
+      quantizerX.to('quarterNotes', viewport.positionFromScreen({x, y: 0}).x),
+    [viewport, quantizerX]
+  );
+  const onRulerSeek = useCallback((x) => transport.seek(getRulerPosition(x)), [
+    transport,
+    getRulerPosition,
+  ]);
+  // loop the bars covered by the region dragged on the ruler
+  const onRulerRegionChange = useCallback(
+    ({from, to}) => {
+      const start = getRulerPosition(Math.min(from, to));
+      const end = getRulerPosition(Math.max(from, to));
+      const startBar = Math.floor(start / BEATS_PER_BAR);
+      const endBar = Math.max(Math.ceil(end / BEATS_PER_BAR), startBar + 1);
+      setLoopRegion({
+        start: startBar * BEATS_PER_BAR,
+        end: endBar * BEATS_PER_BAR,
+      });
+      setLooping(true);
+    },
+    [getRulerPosition, setLoopRegion, setLooping]
+  );
+
+  // id of the note being drawn in draw mode
+  const drawnEventIdRef = useRef(null);
+
+  const onDrawStart = useCallback(
+    (pos) => {
+      const {start, degree} = getCellAtPos(pos);
+      const id = uniqueId();
+      drawnEventIdRef.current = id;
+
+      // group creating the note and dragging out its length into one undo
+      // history entry
+      history.beginTransaction();
+      setEvents((events) => [
+        ...events,
+        {degree, start, duration: MIN_NOTE_DURATION, id},
+      ]);
+      setSelection(new Set([id]));
+    },
+    [getCellAtPos, history, setEvents, setSelection]
+  );
+
+  const onDrawMove = useCallback(
+    (pos) => {
+      const id = drawnEventIdRef.current;
+      const startCell = getCellAtPos(pos.from);
+      const endCell = getCellAtPos(pos.to);
+      // the note covers both the cell where the drag started and where it is
+      // now, so you can also drag to the left
+      const start = Math.min(startCell.start, endCell.start);
+      const end = Math.max(startCell.start, endCell.start) + MIN_NOTE_DURATION;
+
+      setEvents((events) =>
+        events.map((ev) =>
+          ev.id === id ? {...ev, start, duration: end - start} : ev
+        )
+      );
+    },
+    [getCellAtPos, setEvents]
+  );
+
+  // all of the notes in world coords, including those which aren't on screen
+  // (so aren't in the scene), eg. when the view has auto scrolled while drawing
+  // a select box. only built when needed after the notes change
+  const eventsIndexRef = useRef(null);
+  const getEventsIndex = useCallback(() => {
+    const cached = eventsIndexRef.current;
+    if (cached?.events !== events || cached?.getEventRect !== getEventRect) {
+      eventsIndexRef.current = {
+        events,
+        getEventRect,
+        index: SpatialIndex.fromItems(
+          events.map((ev) => ({rect: getEventRect(ev), object: ev}))
+        ),
+      };
+    }
+    return eventsIndexRef.current.index;
+  }, [events, getEventRect]);
+
+  // the notes selected by a select box or lasso on screen. overlapping and
+  // containing are unaffected by zooming, so they can be tested in world coords
+  const findEventsInSelectBox = useCallback(
+    (selectBoxRect, policy) =>
+      findIntersectingEvents(
+        new Rect({
+          position: viewport.positionFromScreen(selectBoxRect.position),
+          size: viewport.sizeFromScreen(selectBoxRect.size),
+        }),
+        getEventsIndex(),
+        (rect, box) => isRectSelected(rect, box, policy)
+      ),
+    [viewport, getEventsIndex]
+  );
+  const findEventsInLasso = useCallback(
+    (polygon, policy) =>
+      findEventsInPolygon(
+        new Polygon(
+          polygon.points.map((point) => viewport.positionFromScreen(point))
+        ),
+        getEventsIndex(),
+        {contained: policy === 'contain'}
+      ),
+    [viewport, getEventsIndex]
+  );
+
+  const onSelectRect = useCallback(
+    (selectBoxRect, modifier, policy) => {
+      const intersecting = findEventsInSelectBox(selectBoxRect, policy);
+
+      setSelection((selection) =>
+        updateSelection(
+          selection,
+          intersecting.map((ev) => ev.id),
+          modifier
+        )
+      );
+    },
+    [findEventsInSelectBox, setSelection]
+  );
+
+  // what the selection will be when the select box being drawn is finished,
+  // or null if there isn't one
+  const [selectionPreview, setSelectionPreview] = useState(null);
+  const onSelectRectChange = useCallback(
+    (selectBoxRect, modifier, policy) => {
+      setSelectionPreview(
+        selectBoxRect
+          ? updateSelection(
+              selection,
+              findEventsInSelectBox(selectBoxRect, policy).map((ev) => ev.id),
+              modifier
+            )
+          : null
+      );
+    },
+    [findEventsInSelectBox, selection]
+  );
+
+  const onSelectPolygon = useCallback(
+    (polygon, modifier, policy) => {
+      const intersecting = findEventsInLasso(polygon, policy);
+
+      setSelection((selection) =>
+        updateSelection(
+          selection,
+          intersecting.map((ev) => ev.id),
+          modifier
+        )
+      );
+    },
+    [findEventsInLasso, setSelection]
+  );
+  const onSelectPolygonChange = useCallback(
+    (polygon, modifier, policy) => {
+      setSelectionPreview(
+        polygon
+          ? updateSelection(
+              selection,
+              findEventsInLasso(polygon, policy).map((ev) => ev.id),
+              modifier
+            )
+          : null
+      );
+    },
+    [findEventsInLasso, selection]
+  );
+
+  const getEventEdgeAtPos = useCallback(
+    (pos) =>
+      getIntersectingEventEdge(pos, scene.renderedRects, RESIZE_EDGE_THRESHOLD),
+    [scene]
+  );
+
+  const [cursor, setCursor] = useState(null);
+
   const selectBoxRef = useRef(null);
+  const lassoRef = useRef(null);
 
   const tooltipRef = useRef(null);
 
+  // add newEvents, selecting them
+  const addEvents = useCallback(
+    (newEvents) => {
+      setEvents((events) => [...events, ...newEvents]);
+      setSelection(new Set(newEvents.map((ev) => ev.id)));
+    },
+    [setEvents, setSelection]
+  );
+  const deleteSelection = useCallback(() => {
+    setEvents((events) => events.filter((ev) => !selection.has(ev.id)));
+    setSelection(new Set());
+  }, [selection, setEvents, setSelection]);
+
+  // copied notes only keep what the pasted notes need
+  const getClipboardEvents = useCallback(
+    () =>
+      events
+        .filter((ev) => selection.has(ev.id))
+        .map(({degree, start, duration}) => ({degree, start, duration})),
+    [events, selection]
+  );
+  const onPasteEvents = useCallback(
+    (pastedEvents, pointerPos) => {
+      const {start} = getExtents(pastedEvents, scale.degreeCount);
+      // without a mouse position, paste at the original time
+      const offset = pointerPos
+        ? quantizerX.to(
+            'quarterNotes',
+            viewport.positionFromScreen(pointerPos).x
+          ) - start
+        : 0;
+      addEvents(
+        cloneEvents(
+          pastedEvents.map(({degree, start, duration}) => ({
+            degree,
+            start,
+            duration,
+          })),
+          offset
+        )
+      );
+    },
+    [scale.degreeCount, quantizerX, viewport, addEvents]
+  );
+
+  const commands = useRefOnce(() => new CommandRegistry()).current;
+
+  // re-registered every render so the commands see the current state
+  useEffect(() => {
+    // only found when a command needs them, as this runs on every render
+    const getSelectedEvents = () => events.filter((ev) => selection.has(ev.id));
+    const hasSelection = selection.size > 0;
+
+    // move the selected notes by start (in quarter notes) and degree. if that
+    // would move any of them out of the range of midi notes, they aren't moved
+    // at all, so that eg. moving by an octave always transposes
+    const moveSelection = (delta) => {
+      if (!canMoveEvents(getSelectedEvents(), delta, scale)) return;
+
+      setEvents((events) =>
+        events.map((ev) => (selection.has(ev.id) ? moveEvent(ev, delta) : ev))
+      );
+    };
+
+    // change the duration of the selected notes by delta quarter notes
+    const resizeSelection = (delta) =>
+      setEvents((events) =>
+        events.map((ev) =>
+          selection.has(ev.id)
+            ? {
+                ...ev,
+                duration: Math.max(ev.duration + delta, MIN_NOTE_DURATION),
+              }
+            : ev
+        )
+      );
+
+    const zoomAtCenter = (zoomScaleFactor) =>
+      setViewportState((s) =>
+        constrainViewportState(
+          zoomAtPointByFactor(
+            s,
+            new Vector2({
+              x: viewportDimensions.width / 2,
+              y: viewportDimensions.height / 2,
+            }),
+            zoomScaleFactor,
+            {dimensions: {x: true}, minZoom: MIN_ZOOM, maxZoom: MAX_ZOOM}
+          ),
+          viewportDimensions,
+          panBounds
+        )
+      );
+
+    commands.register('deleteSelection', {
+      description: 'Delete selected notes',
+      keys: ['Delete', 'Backspace'],
+      enabled: selection.size > 0,
+      run: deleteSelection,
+    });
+    commands.register('duplicateSelection', {
+      description: 'Duplicate selected notes after the selection',
+      keys: ['Mod+D'],
+      enabled: hasSelection,
+      run: () => {
+        const selectedEvents = getSelectedEvents();
+        addEvents(
+          cloneEvents(
+            selectedEvents,
+            getExtents(selectedEvents, scale.degreeCount).size
+          )
+        );
+      },
+    });
+    // up and down are in pitch, so up moves to higher degrees (which are drawn
+    // further down the screen)
+    commands.register('nudgeLeft', {
+      description: 'Move selected notes earlier',
+      keys: ['ArrowLeft'],
+      enabled: hasSelection,
+      run: () => moveSelection({start: -quantizerX.stepSize}),
+    });
+    commands.register('nudgeRight', {
+      description: 'Move selected notes later',
+      keys: ['ArrowRight'],
+      enabled: hasSelection,
+      run: () => moveSelection({start: quantizerX.stepSize}),
+    });
+    commands.register('nudgeBarLeft', {
+      description: 'Move selected notes a bar earlier',
+      keys: ['Shift+ArrowLeft'],
+      enabled: hasSelection,
+      run: () => moveSelection({start: -BEATS_PER_BAR}),
+    });
+    commands.register('nudgeBarRight', {
+      description: 'Move selected notes a bar later',
+      keys: ['Shift+ArrowRight'],
+      enabled: hasSelection,
+      run: () => moveSelection({start: BEATS_PER_BAR}),
+    });
+    commands.register('nudgeUp', {
+      description: 'Move selected notes up a scale degree',
+      keys: ['ArrowUp'],
+      enabled: hasSelection,
+      run: () => moveSelection({degree: 1}),
+    });
+    commands.register('nudgeDown', {
+      description: 'Move selected notes down a scale degree',
+      keys: ['ArrowDown'],
+      enabled: hasSelection,
+      run: () => moveSelection({degree: -1}),
+    });
+    commands.register('nudgeOctaveUp', {
+      description: 'Move selected notes up an octave',
+      keys: ['Shift+ArrowUp'],
+      enabled: hasSelection,
+      run: () => moveSelection({degree: scale.intervals.length}),
+    });
+    commands.register('nudgeOctaveDown', {
+      description: 'Move selected notes down an octave',
+      keys: ['Shift+ArrowDown'],
+      enabled: hasSelection,
+      run: () => moveSelection({degree: -scale.intervals.length}),
+    });
+    commands.register('shortenSelection', {
+      description: 'Shorten selected notes',
+      keys: ['Alt+ArrowLeft'],
+      enabled: hasSelection,
+      run: () => resizeSelection(-quantizerX.stepSize),
+    });
+    commands.register('lengthenSelection', {
+      description: 'Lengthen selected notes',
+      keys: ['Alt+ArrowRight'],
+      enabled: hasSelection,
+      run: () => resizeSelection(quantizerX.stepSize),
+    });
+    commands.register('selectAll', {
+      description: 'Select all notes',
+      keys: ['Mod+A'],
+      run: () => setSelection(new Set(events.map((ev) => ev.id))),
+    });
+    commands.register('undo', {
+      description: 'Undo',
+      keys: ['Mod+Z'],
+      enabled: history.canUndo,
+      run: history.undo,
+    });
+    commands.register('redo', {
+      description: 'Redo',
+      keys: ['Mod+Shift+Z', 'Mod+Y'],
+      enabled: history.canRedo,
+      run: history.redo,
+    });
+    commands.register('togglePlayback', {
+      description: 'Play/pause',
+      keys: ['Space'],
+      run: transport.playing ? transport.pause : transport.play,
+    });
+    commands.register('selectMode', {
+      description: 'Switch to select mode',
+      keys: ['V'],
+      run: () => setMode('select'),
+    });
+    commands.register('lassoMode', {
+      description: 'Switch to lasso select mode',
+      keys: ['L'],
+      run: () => setMode('lasso'),
+    });
+    commands.register('drawMode', {
+      description: 'Switch to draw mode',
+      keys: ['D'],
+      run: () => setMode('draw'),
+    });
+    commands.register('zoomMode', {
+      description: 'Switch to zoom mode',
+      keys: ['Z'],
+      run: () => setMode('zoom'),
+    });
+    commands.register('panMode', {
+      description: 'Switch to pan mode',
+      keys: ['H'],
+      run: () => setMode('pan'),
+    });
+    commands.register('zoomIn', {
+      description: 'Zoom in',
+      keys: ['=', '+'],
+      run: () => zoomAtCenter(KEYBOARD_ZOOM_FACTOR),
+    });
+    commands.register('zoomOut', {
+      description: 'Zoom out',
+      keys: ['-'],
+      run: () => zoomAtCenter(1 / KEYBOARD_ZOOM_FACTOR),
+    });
+    commands.register('zoomToSelection', {
+      description: 'Zoom to fit selected notes',
+      keys: ['F'],
+      enabled: hasSelection,
+      run: () => {
+        const selectedEvents = getSelectedEvents();
+        const fitted = getViewportStateFittingNotes(
+          {
+            start: Math.min(...selectedEvents.map((ev) => ev.start)),
+            end: Math.max(
+              ...selectedEvents.map((ev) => ev.start + ev.duration)
+            ),
+            minDegree: Math.min(...selectedEvents.map((ev) => ev.degree)),
+            maxDegree: Math.max(...selectedEvents.map((ev) => ev.degree)),
+          },
+          {padding: ZOOM_TO_SELECTION_PADDING}
+        );
+        // if the zoom is limited, keep the selection centered
+        const clamped = zoomInAtPointClamped(
+          fitted,
+          new Vector2({
+            x: viewportDimensions.width / 2,
+            y: viewportDimensions.height / 2,
+          }),
+          fitted.zoom,
+          MIN_ZOOM,
+          MAX_ZOOM
+        );
+        viewportAnimator.animateTo(
+          viewportState,
+          constrainViewportState(clamped, viewportDimensions, panBounds)
+        );
+      },
+    });
+    commands.register('resetView', {
+      description: 'Zoom to fit all notes',
+      keys: ['0'],
+      run: () =>
+        viewportAnimator.animateTo(
+          viewportState,
+          getViewportStateZoomedToExtents()
+        ),
+    });
+  });
+
   useBehaviors(
     () => {
       const controller = new BehaviorController();
       controller.addBehavior('dragPan', DragPanBehavior, 1);
       controller.addBehavior('wheelZoom', WheelZoomBehavior, 1);
       controller.addBehavior('wheelScroll', WheelScrollBehavior, 1);
+      // higher pri than dragEvent and edgeResize so a second finger can take
+      // over a drag or resize
+      controller.addBehavior('pinchZoom', PinchZoomBehavior, 4);
+      // higher pri than the behaviors which handle pointerdowns on notes or
+      // the background, so they don't start when clicking on the ruler
+      controller.addBehavior('ruler', RulerBehavior, 4);
 
       controller.addBehavior('dragEvent', DragEventBehavior, 2);
+      // higher pri than dragEvent, so it gets pointerdowns near note edges
+      controller.addBehavior('edgeResize', EdgeResizeBehavior, 3);
       controller.addBehavior('selection', SelectBoxBehavior, 1);
+      controller.addBehavior('lasso', LassoSelectBehavior, 1);
+      controller.addBehavior('draw', DrawBehavior, 1);
+      controller.addBehavior('zoomRegion', ZoomRegionBehavior, 1);
       controller.addBehavior('tooltip', TooltipBehavior, 1);
+      controller.addBehavior('keyboard', KeyboardShortcutBehavior, 1);
+      controller.addBehavior('clipboard', ClipboardBehavior, 1);
+      // before everything else, so user input stops viewport animations first
+      controller.addBehavior(
+        'interruptAnimation',
+        InterruptAnimationBehavior,
+        10
+      );
+      // higher pri than the behaviors which drag things, to see their pointer
+      // moves
+      controller.addBehavior('autoScroll', EdgeAutoScrollBehavior, 5);
 
       return controller;
     },
@@ -261,159 +1167,430 @@ function App() {
         dragPan: {
           viewportState,
           setViewportState,
+          fling: true,
+          animator: viewportAnimator,
+          bounds: panBounds,
+          elastic: true,
+          viewportDimensions,
         },
         wheelZoom: {
           dimensions: {x: true},
           viewportState,
           setViewportState,
           minZoom: MIN_ZOOM,
+          maxZoom: MAX_ZOOM,
+          bounds: panBounds,
+          viewportDimensions,
         },
         wheelScroll: {
           viewportState,
           setViewportState,
+          bounds: panBounds,
+          viewportDimensions,
+        },
+        ruler: {
+          onSeek: onRulerSeek,
+          onRegionChange: onRulerRegionChange,
+        },
+        pinchZoom: {
+          dimensions: {x: true},
+          viewportState,
+          setViewportState,
+          minZoom: MIN_ZOOM,
+          maxZoom: MAX_ZOOM,
+          bounds: panBounds,
+          viewportDimensions,
         },
         dragEvent: {
-          getEventAtPos,
+          scene,
+          // group the whole drag into one undo history entry
+          onDragStart: history.beginTransaction,
           onDragMove,
+          onDragComplete: history.endTransaction,
+          onDragCancel: history.cancelTransaction,
+          selection,
+          setSelection,
+          eventsMap,
+        },
+        edgeResize: {
+          getEdgeAtPos: getEventEdgeAtPos,
+          setCursor,
           selection,
           setSelection,
           eventsMap,
+          // group the whole resize into one undo history entry
+          onResizeStart: history.beginTransaction,
+          onResizeMove,
+          onResizeComplete: history.endTransaction,
+          onResizeCancel: history.cancelTransaction,
         },
         selection: {
           setSelectBoxRect: selectBoxRef.current?.setSelectBoxRect,
+          policy: SELECT_BOX_POLICY,
           onSelectRect,
+          onSelectRectChange,
+        },
+        lasso: {
+          policy: LASSO_POLICY,
+          setLassoPoints: lassoRef.current?.setLassoPoints,
+          onSelectPolygon,
+          onSelectPolygonChange,
+        },
+        zoomRegion: {
+          // clicks zoom like the other zoom behaviors, dragged regions are fit
+          // in both dimensions
+          dimensions: {x: true},
+          viewportState,
+          setViewportState,
+          setRegionRect: selectBoxRef.current?.setSelectBoxRect,
+          animator: viewportAnimator,
+          minZoom: MIN_ZOOM,
+          maxZoom: MAX_ZOOM,
+          bounds: panBounds,
+          viewportDimensions,
+        },
+        interruptAnimation: {
+          animator: viewportAnimator,
+        },
+        autoScroll: {
+          viewportState,
+          setViewportState,
+          bounds: panBounds,
+          viewportDimensions,
         },
         tooltip: {
-          getEventAtPos,
+          scene,
           setTooltip: tooltipRef.current?.setTooltip,
         },
+        draw: {
+          onDrawStart,
+          onDrawMove,
+          onDrawComplete: history.endTransaction,
+          onDrawCancel: history.cancelTransaction,
+        },
+        keyboard: {
+          commands,
+        },
+        clipboard: {
+          type: CLIPBOARD_PAYLOAD_TYPE,
+          getItems: getClipboardEvents,
+          onCut: deleteSelection,
+          onPaste: onPasteEvents,
+          isValidItem: isValidClipboardEvent,
+        },
       },
       enabled: {
         dragPan: mode === 'pan',
         wheelZoom: mode === 'pan',
         wheelScroll: mode !== 'pan',
         selection: mode === 'select',
-        dragEvent: mode === 'select',
+        lasso: mode === 'lasso',
+        // notes can also be moved and resized in lasso and draw modes
+        dragEvent: mode === 'select' || mode === 'lasso' || mode === 'draw',
+        edgeResize: mode === 'select' || mode === 'lasso' || mode === 'draw',
+        draw: mode === 'draw',
+        zoomRegion: mode === 'zoom',
       },
     }
   );
 
-  // rendering
+  // focus the canvas so keyboard shortcuts work straight away
   useEffect(() => {
-    if (!ctx) return;
-    const {canvas} = ctx;
-    const dpr = getDPR();
-    // clear canvas & update to fill window
-    canvas.width = viewportDimensions.width * dpr;
-    canvas.height = viewportDimensions.height * dpr;
+    canvas?.focus();
+  }, [canvas]);
 
-    canvas.style.width = `${viewportDimensions.width}px`;
-    canvas.style.height = `${viewportDimensions.height}px`;
+  const drawMinimapContent = useCallback(
+    (ctx, minimapViewport) => {
+      events.forEach((ev) => {
+        const size = minimapViewport.sizeToScreen({
+          x: quantizerX.to('pixels', ev.duration),
+          y: quantizerY.to('pixels', 1),
+        });
+        drawRect(
+          ctx,
+          new Rect({
+            position: minimapViewport.positionToScreen({
+              x: quantizerX.to('pixels', ev.start),
+              y: quantizerY.to('pixels', ev.degree),
+            }),
+            // at least a pixel, so short notes don't disappear
+            size: {x: Math.max(size.x, 1), y: Math.max(size.y, 1)},
+          }),
+          {fillStyle: getDegreeColor(ev.degree, scale)}
+        );
+      });
+    },
+    [events, quantizerX, quantizerY, scale]
+  );
 
-    // Scale all drawing operations by the dpr, so you
-    // don't have to worry about the difference.
-    ctx.scale(dpr, dpr);
+  // rendering. coalesced into at most one render per animation frame, however
+  // many of its dependencies change in that frame
+  const render = useCallback(() => {
+    if (!ctx) return;
 
-    renderedRectsRef.current = [];
+    // only the rows and notes which are on screen are in the scene, so it
+    // doesn't have nodes for all of a large sequence. the notes on screen are
+    // found with the index, rather than checking every note
+    const visible = getVisibleWorldAABB(viewport, viewportDimensions);
+    const visibleMinDegree = Math.max(
+      extents.minDegree,
+      cellQuantizerY.to('scaleDegrees', visible.min.y)
+    );
+    const visibleMaxDegree = Math.min(
+      extents.maxDegree,
+      cellQuantizerY.to('scaleDegrees', visible.max.y)
+    );
+    const shownSelection = selectionPreview ?? selection;
 
-    for (let i = extents.minDegree; i <= extents.maxDegree; i++) {
+    // the layers' nodes are kept between renders, and only updated (so only
+    // redrawn) when what they show changes
+    const rowSpecs = [];
+    for (let i = visibleMinDegree; i <= visibleMaxDegree; i++) {
       const rect = new Rect({
-        position: viewport.positionToScreen({
-          x: 0,
-          y: i * TIMELINE_ROW_HEIGHT,
-        }),
-        size: viewport.sizeToScreen({
+        position: {x: 0, y: i * TIMELINE_ROW_HEIGHT},
+        size: {
           x:
-            Math.ceil((extents.start + extents.size) / 4) *
-            4 *
+            Math.ceil((extents.start + extents.size) / BEATS_PER_BAR) *
+            BEATS_PER_BAR *
             QUARTER_NOTE_WIDTH,
           y: TIMELINE_ROW_HEIGHT,
-        }),
-      });
-
-      ctx.globalAlpha = 0.2;
-      drawRect(ctx, rect, {
-        fillStyle: colors[wrap(i, colors.length)],
+        },
       });
-      ctx.globalAlpha = 1;
-
-      drawTextRect(
-        ctx,
-        String(i + 1),
-        rect,
+      rowSpecs.push(
         {
-          fillStyle: colors[wrap(i, colors.length)],
+          key: `row:${i}`,
+          type: RectNode,
+          props: {
+            rect,
+            style: {fillStyle: getDegreeColor(i, scale), globalAlpha: 0.2},
+          },
         },
-        {offset: {x: 3, y: 14}}
+        {
+          key: `label:${i}`,
+          type: TextNode,
+          props: {
+            text: scale.degreeLabel(i),
+            rect,
+            offset: {x: 3, y: 14},
+            style: {fillStyle: getDegreeColor(i, scale)},
+          },
+        }
       );
     }
+    sceneLayers.rows.sync(rowSpecs);
 
-    events.forEach((ev) => {
-      const rect = new Rect({
-        position: viewport.positionToScreen({
-          x: quantizerX.to('pixels', ev.start),
-          y: quantizerY.to('pixels', ev.degree),
-        }),
-        size: viewport.sizeToScreen({
-          x: quantizerX.to('pixels', ev.duration),
-          y: quantizerY.to('pixels', 1),
-        }),
-      });
-      drawRect(ctx, rect, {
-        fillStyle: colors[wrap(ev.degree, colors.length)],
-        strokeStyle: selection.has(ev.id) ? 'white' : null,
-      });
+    // time grid, over the rows and under the notes. the grid lines and ruler
+    // labels get further apart as the view is zoomed out
+    const gridTicks = getTicks(
+      quantizerX,
+      visible.min.x,
+      visible.max.x,
+      viewport.sizeXFromScreen(MIN_GRID_SPACING),
+      {steps: GRID_STEPS}
+    ).ticks;
+    updateGridLines(sceneLayers.grid, gridTicks, {
+      visible,
+      getStyle: (tick) =>
+        tick.value % BEATS_PER_BAR === 0 ? BAR_LINE_STYLE : BEAT_LINE_STYLE,
+    });
 
-      renderedRectsRef.current.push({
-        rect,
-        object: ev,
-      });
+    // the index returns the notes from front to back, so reverse them to draw
+    // them in order
+    sceneLayers.notes.sync(
+      getEventsIndex()
+        .queryRect(Rect.fromAABB(visible))
+        .reverse()
+        .map(({rect, object: ev}) => ({
+          key: ev.id,
+          type: RectNode,
+          props: {
+            rect,
+            style: {
+              fillStyle: getDegreeColor(ev.degree, scale),
+              strokeStyle: shownSelection.has(ev.id) ? 'white' : null,
+            },
+            // hit testable
+            data: ev,
+          },
+        }))
+    );
+
+    const playheadX = quantizerX.to('pixels', playheadPosition);
+    sceneLayers.overlay.sync([
+      ...(looping
+        ? [
+            {
+              key: 'loop',
+              type: RectNode,
+              props: {
+                rect: new Rect({
+                  position: {
+                    x: quantizerX.to('pixels', loopRegion.start),
+                    y: visible.min.y,
+                  },
+                  size: {
+                    x: quantizerX.to(
+                      'pixels',
+                      loopRegion.end - loopRegion.start
+                    ),
+                    y: visible.max.y - visible.min.y,
+                  },
+                }),
+                style: {fillStyle: 'white', globalAlpha: 0.1},
+              },
+            },
+          ]
+        : []),
+      {
+        key: 'playhead',
+        type: LineNode,
+        props: {
+          from: {x: playheadX, y: visible.min.y},
+          to: {x: playheadX, y: visible.max.y},
+          style: {strokeStyle: 'white'},
+        },
+      },
+    ]);
+
+    const rulerTicks = getTicks(
+      quantizerX,
+      visible.min.x,
+      visible.max.x,
+      viewport.sizeXFromScreen(MIN_RULER_LABEL_SPACING),
+      {steps: GRID_STEPS}
+    ).ticks;
+    updateRuler(sceneLayers.ruler, rulerTicks, {
+      visible,
+      viewport,
+      getLabel: (tick) => formatBarsBeats(tick.value),
     });
+
+    if (!scene.needsRender(viewport, viewportDimensions)) return;
+    clearCanvas(ctx, viewportDimensions, dpr);
+    scene.render(ctx, viewport, viewportDimensions);
   }, [
     ctx,
-    events,
+    scene,
+    sceneLayers,
+    getEventsIndex,
     viewport,
     selection,
+    selectionPreview,
     viewportDimensions,
+    dpr,
     extents.start,
     extents.size,
     extents.minDegree,
     extents.maxDegree,
     quantizerX,
-    quantizerY,
+    cellQuantizerY,
+    scale,
+    looping,
+    loopRegion,
+    playheadPosition,
   ]);
+  useAnimationFrameRender(render);
+  // the canvas is resized (and so cleared) for the new dpr, so it needs to be
+  // drawn again
+  useEffect(() => {
+    scene.invalidate();
+  }, [scene, dpr]);
 
   return (
-    <div>
+    <div
+      ref={containerRef}
+      style={{
+        position: 'relative',
+        width: '100vw',
+        height: '100vh',
+        overflow: 'hidden',
+      }}
+    >
       <SelectBox ref={selectBoxRef} />
+      <Lasso ref={lassoRef} />
       <Tooltip ref={tooltipRef} component={TooltipContent} />
       <canvas
         ref={canvasRef}
         width={1000}
         height={600}
         style={{
+          // out of the layout, so its size doesn't affect the container's
+          position: 'absolute',
+          top: 0,
+          left: 0,
           overflow: 'hidden',
-          cursor: mode === 'pan' ? 'grab' : null,
+          outline: 'none',
+          cursor:
+            cursor ??
+            (mode === 'pan'
+              ? 'grab'
+              : mode === 'draw' || mode === 'lasso'
+              ? 'crosshair'
+              : mode === 'zoom'
+              ? 'zoom-in'
+              : null),
         }}
       />
 
       <div
         style={{
           position: 'absolute',
-          width: '50vw',
+          width: '50%',
           top: 0,
           right: 0,
           textAlign: 'right',
         }}
       >
+        <TransportControls
+          playing={transport.playing}
+          onPlay={transport.play}
+          onPause={transport.pause}
+          onStop={transport.stop}
+          tempo={tempo}
+          onTempoChange={setTempo}
+          loop={looping}
+          onLoopChange={setLooping}
+          loopRegion={loopRegion}
+          onLoopRegionChange={setLoopRegion}
+          beatsPerBar={BEATS_PER_BAR}
+          followPlayhead={followPlayhead}
+          onFollowPlayheadChange={setFollowPlayhead}
+        />
+        <MidiFileButtons
+          getMidiFile={getMidiFile}
+          onImport={onImportMidi}
+          onImportError={onImportMidiError}
+          status={midiStatus}
+        />
+        <ScaleControls
+          options={scaleOptions}
+          onOptionsChange={setScaleOptions}
+        />
         <Controls
           mode={mode}
+          modes={MODES}
           onModeChange={setMode}
           viewportState={viewportState}
           minZoom={MIN_ZOOM}
+          maxZoom={MAX_ZOOM}
           onViewportStateChange={setViewportState}
           getDefaultViewportState={getViewportStateZoomedToExtents}
+          animator={viewportAnimator}
+          bounds={panBounds}
+          viewportDimensions={viewportDimensions}
+          zoomStep={KEYBOARD_ZOOM_FACTOR}
+          zoomDimensions={{x: true}}
+        />
+      </div>
+      <div style={{position: 'absolute', right: 8, bottom: 8}}>
+        <Minimap
+          extents={contentExtents}
+          drawContent={drawMinimapContent}
+          viewportState={viewportState}
+          onViewportStateChange={setViewportState}
           viewportDimensions={viewportDimensions}
+          animator={viewportAnimator}
+          bounds={panBounds}
         />
       </div>
     </div>
@@ -0,0 +1,107 @@
+import React from 'react';
+
+import {SCALES, midiNoteName, parseIntervals} from './scales';
+import {range} from './utils';
+
+const {useState, useEffect} = React;
+
+// root notes from C2 to B5
+const ROOT_NOTES = range(48, 36);
+const MAX_OCTAVES = 4;
+
+// edits options for makeScale
+const ScaleControls = React.memo(function ScaleControls({
+  options,
+  onOptionsChange,
+}) {
+  // the custom intervals being typed, which are applied on enter or when the
+  // input loses focus, so that every edit while typing doesn't move the notes
+  const [intervalsText, setIntervalsText] = useState(() =>
+    options.customIntervals.join(' ')
+  );
+  // when the intervals change (eg. applied, or by undo), show them
+  useEffect(() => {
+    setIntervalsText(options.customIntervals.join(' '));
+  }, [options.customIntervals]);
+
+  const applyIntervalsText = () => {
+    const customIntervals = parseIntervals(intervalsText);
+    if (
+      customIntervals &&
+      customIntervals.join(' ') !== options.customIntervals.join(' ')
+    ) {
+      onOptionsChange({...options, customIntervals});
+    } else {
+      // invalid or unchanged, so show the current intervals again
+      setIntervalsText(options.customIntervals.join(' '));
+    }
+  };
+
+  return (
+    <>
+      <select
+        value={options.root}
+        title="root note"
+        onChange={(e) =>
+          onOptionsChange({...options, root: parseInt(e.target.value, 10)})
+        }
+      >
+        {ROOT_NOTES.map((note) => (
+          <option key={note} value={note}>
+            {midiNoteName(note)}
+          </option>
+        ))}
+      </select>
+      <select
+        value={options.scale}
+        title="scale"
+        onChange={(e) => onOptionsChange({...options, scale: e.target.value})}
+      >
+        {[...Object.keys(SCALES), 'custom'].map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+      {options.scale === 'custom' && (
+        <input
+          type="text"
+          value={intervalsText}
+          title="semitones above the root of each degree, eg. 0 2 4 7 9"
+          style={{
+            width: 100,
+            // show when the intervals aren't valid (and so can't be applied)
+            color: parseIntervals(intervalsText) ? null : 'red',
+          }}
+          onChange={(e) => setIntervalsText(e.target.value)}
+          onBlur={applyIntervalsText}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              applyIntervalsText();
+            } else if (e.key === 'Escape') {
+              setIntervalsText(options.customIntervals.join(' '));
+            }
+          }}
+        />
+      )}
+      <label>
+        octaves
+        <input
+          type="number"
+          value={options.octaves}
+          min={1}
+          max={MAX_OCTAVES}
+          style={{width: 32}}
+          onChange={(e) => {
+            const octaves = parseInt(e.target.value, 10);
+            if (octaves >= 1 && octaves <= MAX_OCTAVES) {
+              onOptionsChange({...options, octaves});
+            }
+          }}
+        />
+      </label>
+    </>
+  );
+});
+
+export default ScaleControls;
@@ -0,0 +1,189 @@
+import Rect from './Rect';
+
+const DEFAULT_CELL_SIZE = 64;
+// items covering more cells than this are kept in a list which every query
+// checks, rather than being added to all of those cells
+const MAX_CELLS_PER_ITEM = 256;
+
+function distanceToRect(point, rect) {
+  const dx = Math.max(
+    rect.position.x - point.x,
+    0,
+    point.x - (rect.position.x + rect.size.x)
+  );
+  const dy = Math.max(
+    rect.position.y - point.y,
+    0,
+    point.y - (rect.position.y + rect.size.y)
+  );
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// a grid of buckets for finding items (objects with a rect property, eg.
+// rendered rects) at a point or in a region without visiting every item. like
+// rendered rects, items inserted later are in front of earlier ones, and
+// queries return items from front to back
+export default class SpatialIndex {
+  // each cell is a list of entries of {item, order}, keyed by cell coords
+  cells = new Map();
+  oversized = [];
+  size = 0;
+  // range of cell coords which contain items
+  minCell = {x: Infinity, y: Infinity};
+  maxCell = {x: -Infinity, y: -Infinity};
+
+  constructor({cellSize = DEFAULT_CELL_SIZE} = {}) {
+    this.cellSize = cellSize;
+  }
+
+  static fromItems(items, options) {
+    const index = new SpatialIndex(options);
+    items.forEach((item) => index.insert(item));
+    return index;
+  }
+
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  cellKey(x, y) {
+    return `${x},${y}`;
+  }
+
+  insert(item) {
+    const entry = {item, order: this.size++};
+    const {position, size} = item.rect;
+    const minX = this.cellCoord(position.x);
+    const minY = this.cellCoord(position.y);
+    const maxX = this.cellCoord(position.x + size.x);
+    const maxY = this.cellCoord(position.y + size.y);
+
+    if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_CELLS_PER_ITEM) {
+      this.oversized.push(entry);
+      return;
+    }
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const key = this.cellKey(x, y);
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(entry);
+      }
+    }
+    this.minCell.x = Math.min(this.minCell.x, minX);
+    this.minCell.y = Math.min(this.minCell.y, minY);
+    this.maxCell.x = Math.max(this.maxCell.x, maxX);
+    this.maxCell.y = Math.max(this.maxCell.y, maxY);
+  }
+
+  // the frontmost item containing the point, or null
+  queryPoint(point) {
+    let frontmost = null;
+    const check = (entry) => {
+      if (
+        (!frontmost || entry.order > frontmost.order) &&
+        entry.item.rect.containsPoint(point)
+      ) {
+        frontmost = entry;
+      }
+    };
+    const cell = this.cells.get(
+      this.cellKey(this.cellCoord(point.x), this.cellCoord(point.y))
+    );
+    cell?.forEach(check);
+    this.oversized.forEach(check);
+    return frontmost?.item ?? null;
+  }
+
+  // items for which predicate(item.rect, rect) is true (by default, items
+  // intersecting the rect), from front to back
+  queryRect(
+    rect,
+    predicate = (itemRect, rect) => itemRect.intersectsRect(rect)
+  ) {
+    const found = new Set();
+    const check = (entry) => {
+      if (!found.has(entry) && predicate(entry.item.rect, rect)) {
+        found.add(entry);
+      }
+    };
+
+    const minX = Math.max(this.cellCoord(rect.position.x), this.minCell.x);
+    const minY = Math.max(this.cellCoord(rect.position.y), this.minCell.y);
+    const maxX = Math.min(
+      this.cellCoord(rect.position.x + rect.size.x),
+      this.maxCell.x
+    );
+    const maxY = Math.min(
+      this.cellCoord(rect.position.y + rect.size.y),
+      this.maxCell.y
+    );
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        this.cells.get(this.cellKey(x, y))?.forEach(check);
+      }
+    }
+    this.oversized.forEach(check);
+
+    return [...found]
+      .sort((a, b) => b.order - a.order)
+      .map((entry) => entry.item);
+  }
+
+  // the item with its rect closest to the point (0 if the point is inside it),
+  // or null if there are none within maxDistance. when several are equally
+  // close, the frontmost is returned
+  queryNearest(point, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    const check = (entry) => {
+      const distance = distanceToRect(point, entry.item.rect);
+      if (
+        distance < nearestDistance ||
+        (distance === nearestDistance && nearest && entry.order > nearest.order)
+      ) {
+        nearest = entry;
+        nearestDistance = distance;
+      }
+    };
+    this.oversized.forEach(check);
+
+    // search rings of cells outwards from the point's cell, until the rings are
+    // further away than the nearest item found so far
+    const centerX = this.cellCoord(point.x);
+    const centerY = this.cellCoord(point.y);
+    const maxRing =
+      this.cells.size === 0
+        ? -1
+        : Math.max(
+            Math.abs(centerX - this.minCell.x),
+            Math.abs(centerX - this.maxCell.x),
+            Math.abs(centerY - this.minCell.y),
+            Math.abs(centerY - this.maxCell.y)
+          );
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // any item in this ring is at least this far from the point
+      if ((ring - 1) * this.cellSize > nearestDistance) break;
+
+      for (let x = centerX - ring; x <= centerX + ring; x++) {
+        for (let y = centerY - ring; y <= centerY + ring; y++) {
+          const onRing =
+            Math.abs(x - centerX) === ring || Math.abs(y - centerY) === ring;
+          if (onRing) {
+            this.cells.get(this.cellKey(x, y))?.forEach(check);
+          }
+        }
+      }
+    }
+
+    return nearest?.item ?? null;
+  }
+}
+
+// a rect around a point, eg. for querying items near it
+export function rectAroundPoint(point, radius) {
+  return new Rect({
+    position: {x: point.x - radius, y: point.y - radius},
+    size: {x: radius * 2, y: radius * 2},
+  });
+}
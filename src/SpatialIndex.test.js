@@ -0,0 +1,133 @@
+import SpatialIndex from './SpatialIndex';
+import Rect from './Rect';
+import {
+  getIntersectingRenderedRect,
+  findIntersectingEvents,
+} from './renderableRect';
+
+// the benchmark is slow and timing dependent, so only runs with BENCHMARK=1
+const itBenchmark = process.env.BENCHMARK ? it : it.skip;
+
+const RECT_COUNT = 5000;
+const QUERY_COUNT = 500;
+const WORLD_SIZE = 5000;
+
+// a seeded random number generator, so failures can be reproduced
+function makeRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function makeRenderedRects(random) {
+  const renderedRects = [];
+  for (let i = 0; i < RECT_COUNT; i++) {
+    renderedRects.push({
+      rect: new Rect({
+        position: {x: random() * WORLD_SIZE, y: random() * WORLD_SIZE},
+        // mostly small, like notes, with some large enough to be oversized
+        size:
+          i % 100 === 0
+            ? {x: random() * WORLD_SIZE, y: random() * WORLD_SIZE}
+            : {x: 1 + random() * 100, y: 1 + random() * 20},
+      }),
+      object: {id: i},
+    });
+  }
+  return renderedRects;
+}
+
+function makeQueryRects(random) {
+  const rects = [];
+  for (let i = 0; i < QUERY_COUNT; i++) {
+    rects.push(
+      new Rect({
+        position: {x: random() * WORLD_SIZE, y: random() * WORLD_SIZE},
+        size: {x: random() * 300, y: random() * 300},
+      })
+    );
+  }
+  return rects;
+}
+
+// time fn, in ms
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return {result, elapsed: performance.now() - start};
+}
+
+describe('SpatialIndex', () => {
+  const random = makeRandom(1);
+  const renderedRects = makeRenderedRects(random);
+  const index = SpatialIndex.fromItems(renderedRects);
+  const queryRects = makeQueryRects(random);
+  const queryPoints = queryRects.map((rect) => rect.position);
+
+  it('finds the same rects as a linear scan', () => {
+    expect(
+      queryRects.map((rect) => findIntersectingEvents(rect, index))
+    ).toEqual(
+      queryRects.map((rect) => findIntersectingEvents(rect, renderedRects))
+    );
+  });
+
+  it('finds the same rect at a point as a linear scan', () => {
+    expect(
+      queryPoints.map((point) => getIntersectingRenderedRect(point, index))
+    ).toEqual(
+      queryPoints.map((point) =>
+        getIntersectingRenderedRect(point, renderedRects)
+      )
+    );
+  });
+
+  it('finds the nearest rect', () => {
+    // without the large rects, which are close to everything
+    const smallRects = renderedRects.filter((renderedRect, i) => i % 100 !== 0);
+    const smallIndex = SpatialIndex.fromItems(smallRects);
+    queryPoints.slice(0, 100).forEach((point) => {
+      const nearest = smallIndex.queryNearest(point);
+      const distance = (renderedRect) =>
+        Math.hypot(
+          Math.max(
+            renderedRect.rect.position.x - point.x,
+            0,
+            point.x - renderedRect.rect.position.x - renderedRect.rect.size.x
+          ),
+          Math.max(
+            renderedRect.rect.position.y - point.y,
+            0,
+            point.y - renderedRect.rect.position.y - renderedRect.rect.size.y
+          )
+        );
+      const nearestDistance = Math.min(...smallRects.map(distance));
+      expect(distance(nearest)).toBeCloseTo(nearestDistance);
+    });
+  });
+
+  itBenchmark('queries faster than a linear scan', () => {
+    const linear = time(() =>
+      queryRects.map((rect) => findIntersectingEvents(rect, renderedRects))
+    );
+    const indexed = time(() =>
+      queryRects.map((rect) => findIntersectingEvents(rect, index))
+    );
+    console.log(
+      `queryRect x${QUERY_COUNT} over ${RECT_COUNT} rects: ` +
+        `linear scan ${linear.elapsed.toFixed(1)}ms, ` +
+        `index ${indexed.elapsed.toFixed(1)}ms`
+    );
+    // loose, so it doesn't fail on a busy machine
+    expect(indexed.elapsed).toBeLessThan(linear.elapsed / 2);
+  });
+
+  it('finds nothing in an empty index', () => {
+    const empty = new SpatialIndex();
+    expect(empty.queryPoint({x: 0, y: 0})).toBe(null);
+    expect(empty.queryNearest({x: 0, y: 0})).toBe(null);
+    expect(empty.queryRect(queryRects[0])).toEqual([]);
+  });
+});
@@ -7,11 +7,16 @@ const {useState, useImperativeHandle, forwardRef} = React;
 const TOOLTIP_OFFSET = 8;
 
 export class TooltipBehavior extends Behavior {
-  onMouseMove = (e) => {
+  onPointerMove = (e) => {
+    // touches don't hover
+    if (e.pointerType === 'touch') return;
     if (this.controller.lockExists('drag')) return;
     const mousePos = getMouseEventPos(e, this.canvas);
 
-    const intersecting = this.props.getEventAtPos?.(mousePos);
+    // with a scene, hit test the data of its nodes
+    const intersecting = this.props.scene
+      ? this.props.scene.getDataAtPos(mousePos)
+      : this.props.getEventAtPos?.(mousePos);
 
     this.props.setTooltip?.(
       intersecting ? {position: mousePos, event: intersecting} : null
@@ -26,7 +31,7 @@ export class TooltipBehavior extends Behavior {
   }
 
   getEventHandlers() {
-    return {mousemove: this.onMouseMove};
+    return {pointermove: this.onPointerMove};
   }
 }
 
@@ -0,0 +1,97 @@
+import React from 'react';
+
+const TransportControls = React.memo(function TransportControls({
+  playing,
+  onPlay,
+  onPause,
+  onStop,
+  tempo,
+  onTempoChange,
+  loop,
+  onLoopChange,
+  loopRegion,
+  onLoopRegionChange,
+  beatsPerBar = 4,
+  followPlayhead,
+  onFollowPlayheadChange,
+}) {
+  return (
+    <>
+      <button onClick={playing ? onPause : onPlay}>
+        {playing ? 'pause' : 'play'}
+      </button>
+      <button onClick={onStop}>stop</button>
+      <label>
+        bpm
+        <input
+          type="number"
+          value={tempo}
+          min={20}
+          max={300}
+          style={{width: 48}}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) onTempoChange(value);
+          }}
+        />
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={loop}
+          onChange={(e) => onLoopChange(e.target.checked)}
+        />
+        loop
+      </label>
+      {onLoopRegionChange && (
+        // in bars, counting from 1. the end bar is included in the loop
+        <label>
+          bars
+          <input
+            type="number"
+            value={Math.floor(loopRegion.start / beatsPerBar) + 1}
+            max={Math.ceil(loopRegion.end / beatsPerBar)}
+            style={{width: 40}}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (Number.isFinite(value)) {
+                const start = (value - 1) * beatsPerBar;
+                if (start < loopRegion.end) {
+                  onLoopRegionChange({...loopRegion, start});
+                }
+              }
+            }}
+          />
+          to
+          <input
+            type="number"
+            value={Math.ceil(loopRegion.end / beatsPerBar)}
+            min={Math.floor(loopRegion.start / beatsPerBar) + 1}
+            style={{width: 40}}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (Number.isFinite(value)) {
+                const end = value * beatsPerBar;
+                if (end > loopRegion.start) {
+                  onLoopRegionChange({...loopRegion, end});
+                }
+              }
+            }}
+          />
+        </label>
+      )}
+      {onFollowPlayheadChange && (
+        <label>
+          <input
+            type="checkbox"
+            checked={followPlayhead}
+            onChange={(e) => onFollowPlayheadChange(e.target.checked)}
+          />
+          follow
+        </label>
+      )}
+    </>
+  );
+});
+
+export default TransportControls;
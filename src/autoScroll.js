@@ -0,0 +1,158 @@
+import Vector2 from './Vector2';
+import {getMouseEventPos} from './mouseUtils';
+import {constrainViewportState} from './viewport';
+import {Behavior} from './behavior';
+
+// in pixels from the edge of the canvas, where auto scrolling starts
+const DEFAULT_EDGE_MARGIN = 40;
+// in pixels per ms, when the pointer is at (or past) the edge
+const DEFAULT_MAX_SPEED = 1;
+
+// how fast to scroll along one axis, when the pointer is at pos along a view
+// of viewSize. proportional to how close to the edge the pointer is
+function getEdgeSpeed(pos, viewSize, margin, maxSpeed) {
+  if (pos < margin) {
+    return -maxSpeed * Math.min((margin - pos) / margin, 1);
+  }
+  if (pos > viewSize - margin) {
+    return maxSpeed * Math.min((pos - (viewSize - margin)) / margin, 1);
+  }
+  return 0;
+}
+
+// scrolls the view while the pointer is near the edge of the canvas during a
+// drag by a behavior with autoScroll set (eg. moving notes or drawing a select
+// box), so you can drag to things which are off screen. the dragging behavior
+// is told how far the view scrolled with onAutoScroll(delta), then receives
+// the last pointermove again, so whatever is being dragged follows the view.
+// give it a higher priority than the dragging behaviors, so it sees their
+// pointer events. props: viewportState, setViewportState, viewportDimensions,
+// and optionally bounds (see constrainViewportState), dimensions (eg. {x: true}
+// to only scroll horizontally), margin and maxSpeed
+export class EdgeAutoScrollBehavior extends Behavior {
+  frame = null;
+  lastFrameTime = null;
+  // the last pointermove of the dragging pointer
+  lastMoveEvent = null;
+  // whether the view was scrolled in the last frame
+  scrolled = false;
+  // the viewport state as of the last scroll, which the props might not have
+  // caught up with yet
+  viewportState = null;
+
+  receiveProps(prevProps, props) {
+    if (props.viewportState !== prevProps.viewportState) {
+      this.viewportState = props.viewportState;
+    }
+  }
+
+  getDraggingBehavior() {
+    const lock = this.controller.locks.drag;
+    return lock?.behavior.autoScroll ? lock.behavior : null;
+  }
+
+  onAnyLockChange(type, locked) {
+    if (type !== 'drag') return;
+    if (locked && this.getDraggingBehavior()) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  onDisabled() {
+    this.stop();
+  }
+
+  start() {
+    if (this.frame != null) return;
+    this.lastFrameTime = null;
+    this.frame = requestAnimationFrame(this.onFrame);
+  }
+
+  stop() {
+    if (this.frame != null) {
+      cancelAnimationFrame(this.frame);
+    }
+    this.frame = null;
+    this.lastMoveEvent = null;
+    this.scrolled = false;
+  }
+
+  onPointerMove = (e) => {
+    const dragging = this.getDraggingBehavior();
+    if (dragging && dragging.pointerId === e.pointerId) {
+      this.lastMoveEvent = e;
+    }
+  };
+
+  onFrame = (time) => {
+    this.frame = requestAnimationFrame(this.onFrame);
+    const elapsed = this.lastFrameTime == null ? 0 : time - this.lastFrameTime;
+    this.lastFrameTime = time;
+
+    const dragging = this.getDraggingBehavior();
+    if (!dragging || !this.lastMoveEvent || !this.canvas) return;
+
+    // by now the dragging behavior has props for the scrolled view, so update
+    // what's being dragged to where the pointer is in it
+    if (this.scrolled) {
+      this.scrolled = false;
+      dragging.eventHandlers.pointermove?.(this.lastMoveEvent, this.controller);
+    }
+
+    const {
+      setViewportState,
+      viewportDimensions,
+      bounds,
+      dimensions = {x: true, y: true},
+      margin = DEFAULT_EDGE_MARGIN,
+      maxSpeed = DEFAULT_MAX_SPEED,
+    } = this.props;
+    const viewportState = this.viewportState;
+    if (!viewportState || !viewportDimensions) return;
+
+    const mousePos = getMouseEventPos(this.lastMoveEvent, this.canvas);
+    // in screen pixels
+    const scroll = new Vector2({
+      x: dimensions.x
+        ? getEdgeSpeed(mousePos.x, viewportDimensions.width, margin, maxSpeed) *
+          elapsed
+        : 0,
+      y: dimensions.y
+        ? getEdgeSpeed(
+            mousePos.y,
+            viewportDimensions.height,
+            margin,
+            maxSpeed
+          ) * elapsed
+        : 0,
+    });
+    if (scroll.x === 0 && scroll.y === 0) return;
+
+    const scrolled = {
+      ...viewportState,
+      pan: viewportState.pan.clone().add(scroll.div(viewportState.zoom)),
+    };
+    const updated = bounds
+      ? constrainViewportState(scrolled, viewportDimensions, bounds)
+      : scrolled;
+    // how far the view actually moved, after constraining, in screen pixels
+    const delta = updated.pan
+      .clone()
+      .sub(viewportState.pan)
+      .mul(viewportState.zoom);
+    if (delta.x === 0 && delta.y === 0) return;
+
+    this.viewportState = updated;
+    dragging.onAutoScroll(delta);
+    this.scrolled = true;
+    setViewportState?.(updated);
+  };
+
+  getEventHandlers() {
+    return {
+      pointermove: this.onPointerMove,
+    };
+  }
+}
@@ -1,13 +1,36 @@
 import React from 'react';
 import useRefOnce from './useRefOnce';
+import {getPointerEventInfo} from './mouseUtils';
 
 const {useEffect} = React;
 
+// if any behavior subscribes to one of these, the controller binds them all so
+// that it can keep track of which pointers are down
+const POINTER_EVENT_TYPES = [
+  'pointerdown',
+  'pointermove',
+  'pointerup',
+  'pointercancel',
+];
+
+// these only go to the focused element
+const FOCUSED_EVENT_TYPES = ['keydown', 'keyup', 'copy', 'cut', 'paste'];
+
 export class BehaviorController {
   behaviors = {};
+  // behaviors from highest to lowest priority, in the order they receive events
+  sortedBehaviors = [];
+  // events which a behavior has stopped from propagating to lower priority ones
+  consumedEvents = new WeakSet();
   eventTypes = new Set();
   boundEventTypes = new Set();
   locks = {};
+  // pointers which are currently down (mouse buttons pressed, pen or finger
+  // touching), keyed by pointerId
+  activePointers = new Map();
+  // the most recent pointer event on the canvas (including hovering), eg. to
+  // find where the mouse is when handling a key event
+  lastPointer = null;
 
   // behaviors can call this to try to get exclusive control of some resource
   // (eg. dragging). they will receive it if only a lower pri behavior (or no
@@ -48,34 +71,97 @@ export class BehaviorController {
     });
   }
 
-  handleEvent = (e) => {
-    Object.keys(this.behaviors)
-      .sort((aKey, bKey) => {
-        const a = this.behaviors[aKey];
-        const b = this.behaviors[bKey];
-        return b.priority - a.priority;
-      })
-      .forEach((behaviorName) => {
-        const behavior = this.behaviors[behaviorName];
-        const behaviorEventSubscription = behavior.eventHandlers[e.type];
-
-        if (behaviorEventSubscription && behavior.enabled) {
-          behaviorEventSubscription(e, this);
+  // pointer capture keeps the pointer's events coming to the canvas even when
+  // it leaves the canvas, so drags can continue outside it. it is released
+  // automatically on pointerup
+  capturePointer(pointerId) {
+    if (!this.canvas || !this.activePointers.has(pointerId)) return;
+    if (!this.canvas.hasPointerCapture(pointerId)) {
+      this.canvas.setPointerCapture(pointerId);
+    }
+  }
+
+  updateActivePointers(e) {
+    if (e.type.startsWith('pointer')) {
+      this.lastPointer = getPointerEventInfo(e, this.canvas);
+    }
+
+    switch (e.type) {
+      case 'pointerdown':
+        this.activePointers.set(
+          e.pointerId,
+          getPointerEventInfo(e, this.canvas)
+        );
+        break;
+      case 'pointermove':
+        if (this.activePointers.has(e.pointerId)) {
+          this.activePointers.set(
+            e.pointerId,
+            getPointerEventInfo(e, this.canvas)
+          );
         }
-      });
+        break;
+      case 'pointerup':
+      case 'pointercancel':
+        this.activePointers.delete(e.pointerId);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // stop an event from being passed on to the behaviors after the current one
+  // in priority order
+  consumeEvent(e) {
+    this.consumedEvents.add(e);
+  }
+
+  isEventConsumed(e) {
+    return this.consumedEvents.has(e);
+  }
+
+  handleEvent = (e) => {
+    this.updateActivePointers(e);
+
+    for (const behavior of this.sortedBehaviors) {
+      if (this.isEventConsumed(e)) break;
+      const behaviorEventSubscription = behavior.eventHandlers[e.type];
+
+      if (behaviorEventSubscription && behavior.enabled) {
+        behaviorEventSubscription(e, this);
+      }
+    }
   };
 
+  sortBehaviors() {
+    // sort is stable, so behaviors with the same priority stay in the order
+    // they were added
+    this.sortedBehaviors = Object.values(this.behaviors).sort(
+      (a, b) => b.priority - a.priority
+    );
+  }
+
+  setBehaviorPriority(name, priority) {
+    this.behaviors[name].priority = priority;
+    this.sortBehaviors();
+  }
+
   addBehavior(name, BehaviorClass, priority) {
     if (this.behaviors[name])
       throw new Error(`already a behavior named ${name}`);
     const behavior = new BehaviorClass(this, name, priority);
     behavior.eventHandlers = behavior.getEventHandlers();
     this.behaviors[name] = behavior;
+    this.sortBehaviors();
 
     // add new event types
-    Object.keys(behavior.eventHandlers).forEach((eventType) =>
-      this.eventTypes.add(eventType)
-    );
+    Object.keys(behavior.eventHandlers).forEach((eventType) => {
+      if (POINTER_EVENT_TYPES.includes(eventType)) {
+        POINTER_EVENT_TYPES.forEach((type) => this.eventTypes.add(type));
+      } else {
+        this.eventTypes.add(eventType);
+      }
+    });
 
     // if already bound to canvas, we need to ensure the correct set of handlers
     // are bound
@@ -89,6 +175,21 @@ export class BehaviorController {
   bind(canvas) {
     this.canvas = canvas;
 
+    // stop the browser from handling touches itself (eg. scrolling the page) so
+    // we get all of the pointer events
+    this.prevTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = 'none';
+
+    // key and clipboard events only go to the focused element, so the canvas
+    // needs to be focusable (it will then be focused by clicking on it)
+    this.prevTabIndex = canvas.getAttribute('tabindex');
+    if (
+      FOCUSED_EVENT_TYPES.some((type) => this.eventTypes.has(type)) &&
+      canvas.tabIndex < 0
+    ) {
+      canvas.tabIndex = 0;
+    }
+
     this.eventTypes.forEach((type) => {
       this.canvas.addEventListener(type, this.handleEvent);
     });
@@ -102,7 +203,15 @@ export class BehaviorController {
       this.canvas.removeEventListener(type, this.handleEvent);
     });
     this.boundEventTypes = new Set();
+    this.activePointers.clear();
+    this.lastPointer = null;
 
+    this.canvas.style.touchAction = this.prevTouchAction;
+    if (this.prevTabIndex == null) {
+      this.canvas.removeAttribute('tabindex');
+    } else {
+      this.canvas.setAttribute('tabindex', this.prevTabIndex);
+    }
     this.canvas = null;
   }
 }
@@ -110,6 +219,9 @@ export class BehaviorController {
 export class Behavior {
   enabled = true;
   props = {};
+  // whether the view can be auto scrolled while this behavior holds the drag
+  // lock (see EdgeAutoScrollBehavior)
+  autoScroll = false;
 
   constructor(controller, name, priority) {
     this.controller = controller;
@@ -155,6 +267,11 @@ export class Behavior {
   onEnabled() {}
   onDisabled() {}
 
+  // run when the view is auto scrolled by delta (in screen pixels) while this
+  // behavior is dragging. move any screen positions stored during the drag
+  // by -delta, so they stay at the same place in the world
+  onAutoScroll(delta) {}
+
   acquireLock(lock) {
     return this.controller.acquireLock(lock, this, this.priority);
   }
@@ -166,6 +283,12 @@ export class Behavior {
   hasLock(lock) {
     return this.controller.hasLock(lock, this);
   }
+  capturePointer(e) {
+    this.controller.capturePointer(e.pointerId);
+  }
+  consumeEvent(e) {
+    this.controller.consumeEvent(e);
+  }
   get canvas() {
     return this.controller.canvas;
   }
@@ -192,4 +315,6 @@ export function useBehaviors(makeBehaviors, {canvas, props, enabled}) {
       controller.unbind();
     };
   }, [canvas, controller]);
+
+  return controller;
 }
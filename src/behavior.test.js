@@ -0,0 +1,32 @@
+import {BehaviorController, Behavior} from './behavior';
+
+class KeyBehavior extends Behavior {
+  getEventHandlers() {
+    return {keydown: () => {}};
+  }
+}
+
+describe('BehaviorController', () => {
+  it('makes the canvas focusable while bound, for key events', () => {
+    const canvas = document.createElement('canvas');
+    const controller = new BehaviorController();
+    controller.addBehavior('keys', KeyBehavior, 1);
+
+    controller.bind(canvas);
+    expect(canvas.tabIndex).toBe(0);
+    controller.unbind();
+    expect(canvas.hasAttribute('tabindex')).toBe(false);
+  });
+
+  it('restores the tab index of the canvas when unbound', () => {
+    const canvas = document.createElement('canvas');
+    canvas.setAttribute('tabindex', '-1');
+    const controller = new BehaviorController();
+    controller.addBehavior('keys', KeyBehavior, 1);
+
+    controller.bind(canvas);
+    expect(canvas.tabIndex).toBe(0);
+    controller.unbind();
+    expect(canvas.getAttribute('tabindex')).toBe('-1');
+  });
+});
@@ -52,6 +52,9 @@ export function drawTextRect(ctx, text, rect, attrs, props) {
   ctx.save();
   Object.assign(ctx, defaultTextStyle, attrs);
 
+  // the path isn't part of the saved state, so start a new one to clip to
+  // only this rect
+  ctx.beginPath();
   ctx.rect(
     Math.floor(rect.position.x),
     Math.floor(rect.position.y),
@@ -70,14 +73,42 @@ export function drawTextRect(ctx, text, rect, attrs, props) {
 }
 
 export function clearCanvas(ctx, canvasLogicalDimensions, dpr) {
-  // clear canvas & update to fill window
-  ctx.canvas.width = canvasLogicalDimensions.width * dpr;
-  ctx.canvas.height = canvasLogicalDimensions.height * dpr;
+  const width = canvasLogicalDimensions.width * dpr;
+  const height = canvasLogicalDimensions.height * dpr;
 
-  ctx.canvas.style.width = `${canvasLogicalDimensions.width}px`;
-  ctx.canvas.style.height = `${canvasLogicalDimensions.height}px`;
+  if (ctx.canvas.width !== width || ctx.canvas.height !== height) {
+    // update to fill window. setting the size also clears the canvas, but
+    // reallocates it, so we only do it when the size changes
+    ctx.canvas.width = width;
+    ctx.canvas.height = height;
+
+    ctx.canvas.style.width = `${canvasLogicalDimensions.width}px`;
+    ctx.canvas.style.height = `${canvasLogicalDimensions.height}px`;
+  } else {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+  }
 
   // Scale all drawing operations by the dpr, so you
   // don't have to worry about the difference.
-  ctx.scale(dpr, dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+// calls render on the next animation frame after it changes (eg. when it's a
+// useCallback with the state it renders as dependencies). any number of
+// changes within a frame result in a single render
+export function useAnimationFrameRender(render) {
+  const renderRef = useRef(render);
+  renderRef.current = render;
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    if (frameRef.current != null) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      renderRef.current();
+    });
+  }, [render]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
 }
@@ -0,0 +1,93 @@
+// copying and pasting items via the system clipboard, as a JSON payload so they
+// can be pasted into another tab
+
+import {Behavior} from './behavior';
+
+const PAYLOAD_VERSION = 1;
+
+// type identifies what kind of items are in the payload, so we don't try to
+// paste something else which happens to be JSON
+export function serializeClipboardPayload(type, items) {
+  return JSON.stringify({type, version: PAYLOAD_VERSION, items});
+}
+
+// returns the items, or null if the text isn't a payload of the given type.
+// the payload could come from another tab or an older version, so items for
+// which options.isValidItem(item) is false are left out, and if none are left
+// it returns null
+export function parseClipboardPayload(type, text, options) {
+  if (!text) return null;
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (
+    payload?.type !== type ||
+    payload.version !== PAYLOAD_VERSION ||
+    !Array.isArray(payload.items)
+  ) {
+    return null;
+  }
+  const isValidItem = options?.isValidItem ?? (() => true);
+  const items = payload.items.filter(
+    (item) => item != null && isValidItem(item)
+  );
+  return items.length > 0 ? items : null;
+}
+
+// copies, cuts and pastes items with the copy, cut and paste events on the
+// canvas (eg. from Mod+C while it's focused). their clipboardData can be used
+// without asking for permission, unlike the async clipboard API. props:
+// - type: the payload type, as for serializeClipboardPayload
+// - getItems(): the items to copy, or null if there's nothing to copy
+// - onCut(): remove the items which were just copied
+// - onPaste(items, pointerPos): with the items of a pasted payload of the
+//   right type, and where the pointer last was on the canvas if it has been
+// - isValidItem: as for parseClipboardPayload
+export class ClipboardBehavior extends Behavior {
+  // returns whether there was anything to copy
+  copyItems(e) {
+    const items = this.props.getItems?.();
+    if (!items?.length) return false;
+    e.clipboardData.setData(
+      'text/plain',
+      serializeClipboardPayload(this.props.type, items)
+    );
+    // otherwise the browser copies its own selection instead
+    e.preventDefault();
+    this.consumeEvent(e);
+    return true;
+  }
+
+  onCopy = (e) => {
+    this.copyItems(e);
+  };
+
+  onCut = (e) => {
+    if (this.copyItems(e)) {
+      this.props.onCut?.();
+    }
+  };
+
+  onPaste = (e) => {
+    const items = parseClipboardPayload(
+      this.props.type,
+      e.clipboardData.getData('text/plain'),
+      {isValidItem: this.props.isValidItem}
+    );
+    if (!items) return;
+    e.preventDefault();
+    this.consumeEvent(e);
+    this.props.onPaste?.(items, this.controller.lastPointer?.position);
+  };
+
+  getEventHandlers() {
+    return {
+      copy: this.onCopy,
+      cut: this.onCut,
+      paste: this.onPaste,
+    };
+  }
+}
@@ -0,0 +1,134 @@
+import {
+  serializeClipboardPayload,
+  parseClipboardPayload,
+  ClipboardBehavior,
+} from './clipboard';
+import {BehaviorController} from './behavior';
+
+const TYPE = 'test/notes';
+const isValidItem = (item) => Number.isFinite(item.start);
+
+describe('parseClipboardPayload', () => {
+  it('returns the items of a payload of the given type', () => {
+    const items = [{start: 0}, {start: 1}];
+    expect(
+      parseClipboardPayload(TYPE, serializeClipboardPayload(TYPE, items))
+    ).toEqual(items);
+  });
+
+  it('returns null for other text', () => {
+    expect(parseClipboardPayload(TYPE, 'hello')).toBe(null);
+    expect(parseClipboardPayload(TYPE, '')).toBe(null);
+    expect(
+      parseClipboardPayload(TYPE, serializeClipboardPayload('other', [{}]))
+    ).toBe(null);
+    expect(
+      parseClipboardPayload(TYPE, JSON.stringify({type: TYPE, version: 0}))
+    ).toBe(null);
+  });
+
+  it('leaves out invalid items', () => {
+    const text = serializeClipboardPayload(TYPE, [
+      {start: 0},
+      null,
+      {start: 'soon'},
+      {},
+      {start: 2},
+    ]);
+    expect(parseClipboardPayload(TYPE, text, {isValidItem})).toEqual([
+      {start: 0},
+      {start: 2},
+    ]);
+  });
+
+  it('returns null when no items are valid', () => {
+    const text = serializeClipboardPayload(TYPE, [{start: null}, 3]);
+    expect(parseClipboardPayload(TYPE, text, {isValidItem})).toBe(null);
+    expect(
+      parseClipboardPayload(TYPE, serializeClipboardPayload(TYPE, []))
+    ).toBe(null);
+  });
+});
+
+// a clipboard event with clipboardData holding text
+function makeClipboardEvent(type, text = '') {
+  const data = {'text/plain': text};
+  return {
+    type,
+    clipboardData: {
+      getData: (format) => data[format] ?? '',
+      setData: (format, value) => {
+        data[format] = value;
+      },
+    },
+    getText: () => data['text/plain'],
+    preventDefault: jest.fn(),
+  };
+}
+
+function makeClipboardBehavior(props) {
+  const controller = new BehaviorController();
+  controller.addBehavior('clipboard', ClipboardBehavior, 1);
+  controller.behaviors.clipboard.setProps({type: TYPE, isValidItem, ...props});
+  return controller;
+}
+
+describe('ClipboardBehavior', () => {
+  it('copies the items', () => {
+    const items = [{start: 1}];
+    const controller = makeClipboardBehavior({getItems: () => items});
+    const e = makeClipboardEvent('copy');
+    controller.handleEvent(e);
+
+    expect(e.preventDefault).toHaveBeenCalled();
+    expect(parseClipboardPayload(TYPE, e.getText())).toEqual(items);
+  });
+
+  it('leaves copying to the browser when there are no items', () => {
+    const onCut = jest.fn();
+    const controller = makeClipboardBehavior({getItems: () => [], onCut});
+    const e = makeClipboardEvent('cut', 'text');
+    controller.handleEvent(e);
+
+    expect(e.preventDefault).not.toHaveBeenCalled();
+    expect(e.getText()).toBe('text');
+    expect(onCut).not.toHaveBeenCalled();
+  });
+
+  it('removes the items after copying them when cutting', () => {
+    const onCut = jest.fn();
+    const controller = makeClipboardBehavior({
+      getItems: () => [{start: 1}],
+      onCut,
+    });
+    const e = makeClipboardEvent('cut');
+    controller.handleEvent(e);
+
+    expect(onCut).toHaveBeenCalled();
+    expect(parseClipboardPayload(TYPE, e.getText())).toEqual([{start: 1}]);
+  });
+
+  it('pastes valid items at the last pointer position', () => {
+    const onPaste = jest.fn();
+    const controller = makeClipboardBehavior({onPaste});
+    controller.lastPointer = {position: {x: 10, y: 20}};
+    const e = makeClipboardEvent(
+      'paste',
+      serializeClipboardPayload(TYPE, [{start: 1}, {start: 'later'}])
+    );
+    controller.handleEvent(e);
+
+    expect(e.preventDefault).toHaveBeenCalled();
+    expect(onPaste).toHaveBeenCalledWith([{start: 1}], {x: 10, y: 20});
+  });
+
+  it('ignores pasted text which is not a payload', () => {
+    const onPaste = jest.fn();
+    const controller = makeClipboardBehavior({onPaste});
+    const e = makeClipboardEvent('paste', 'hello');
+    controller.handleEvent(e);
+
+    expect(e.preventDefault).not.toHaveBeenCalled();
+    expect(onPaste).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+import {Behavior} from './behavior';
+
+const isMac =
+  typeof navigator !== 'undefined' &&
+  /Mac|iPhone|iPad/.test(navigator.platform);
+
+// parse a key binding like 'Mod+Shift+Z' into the key and modifiers it
+// requires. 'Mod' is Cmd on macOS and Ctrl elsewhere. keys are as in
+// KeyboardEvent.key, except 'Space' can be used for ' '
+export function parseKeyBinding(binding) {
+  const parts = binding.split('+');
+  let key = parts.pop();
+  if (key === '') {
+    // binding the '+' key itself, eg. 'Mod++'
+    parts.pop();
+    key = '+';
+  }
+
+  const parsed = {
+    key: key.toLowerCase() === 'space' ? ' ' : key.toLowerCase(),
+    ctrl: false,
+    meta: false,
+    alt: false,
+    shift: false,
+  };
+  parts.forEach((modifier) => {
+    switch (modifier.toLowerCase()) {
+      case 'mod':
+        parsed[isMac ? 'meta' : 'ctrl'] = true;
+        break;
+      case 'ctrl':
+        parsed.ctrl = true;
+        break;
+      case 'cmd':
+      case 'meta':
+        parsed.meta = true;
+        break;
+      case 'alt':
+        parsed.alt = true;
+        break;
+      case 'shift':
+        parsed.shift = true;
+        break;
+      default:
+        throw new Error(
+          `unknown modifier ${modifier} in key binding ${binding}`
+        );
+    }
+  });
+  return parsed;
+}
+
+export function matchesKeyBinding(e, binding) {
+  const parsed = parseKeyBinding(binding);
+  if (e.key.toLowerCase() !== parsed.key) return false;
+
+  // symbols like '+' may need shift to type depending on the keyboard layout,
+  // so unless the binding asks for shift we don't care about it
+  const ignoreShift =
+    !parsed.shift &&
+    parsed.key.length === 1 &&
+    parsed.key.toLowerCase() === parsed.key.toUpperCase();
+
+  return (
+    e.ctrlKey === parsed.ctrl &&
+    e.metaKey === parsed.meta &&
+    e.altKey === parsed.alt &&
+    (ignoreShift || e.shiftKey === parsed.shift)
+  );
+}
+
+// named commands with default key bindings, which the app can rebind
+export class CommandRegistry {
+  commands = {};
+  // bindings set with bindKeys, which take precedence over commands' defaults
+  keyBindings = {};
+
+  // re-registering an existing command replaces its definition (eg. to give it
+  // a run function closing over fresh state) but keeps any keys bound with
+  // bindKeys. options:
+  // - run: function called when the command is executed
+  // - keys: default key bindings, eg. ['Mod+A']
+  // - enabled: boolean or function returning whether the command can run
+  // - behavior: name of a behavior, the command only runs while it is enabled
+  // - priority: when commands share a key, the highest priority enabled one
+  //   runs
+  register(name, {run, keys = [], description, enabled, behavior, priority}) {
+    this.commands[name] = {
+      name,
+      run,
+      keys,
+      description,
+      enabled,
+      behavior,
+      priority: priority ?? 0,
+    };
+  }
+
+  unregister(name) {
+    delete this.commands[name];
+  }
+
+  bindKeys(name, keys) {
+    this.keyBindings[name] = keys;
+  }
+
+  resetKeys(name) {
+    delete this.keyBindings[name];
+  }
+
+  getKeys(name) {
+    return this.keyBindings[name] ?? this.commands[name]?.keys ?? [];
+  }
+
+  isEnabled(name, controller) {
+    const command = this.commands[name];
+    if (!command) return false;
+    if (command.behavior && !controller?.behaviors[command.behavior]?.enabled) {
+      return false;
+    }
+    return typeof command.enabled === 'function'
+      ? command.enabled()
+      : command.enabled ?? true;
+  }
+
+  execute(name, controller) {
+    if (!this.isEnabled(name, controller)) return false;
+    this.commands[name].run();
+    return true;
+  }
+
+  getCommandForKeyEvent(e, controller) {
+    return (
+      Object.values(this.commands)
+        .sort((a, b) => b.priority - a.priority)
+        .find(
+          (command) =>
+            this.getKeys(command.name).some((binding) =>
+              matchesKeyBinding(e, binding)
+            ) && this.isEnabled(command.name, controller)
+        ) ?? null
+    );
+  }
+}
+
+// runs the commands in props.commands (a CommandRegistry) bound to keys pressed
+// while the canvas has focus
+export class KeyboardShortcutBehavior extends Behavior {
+  onkeydown = (e) => {
+    const command = this.props.commands?.getCommandForKeyEvent(
+      e,
+      this.controller
+    );
+    if (command) {
+      e.preventDefault();
+      this.consumeEvent(e);
+      command.run();
+    }
+  };
+
+  getEventHandlers() {
+    return {
+      keydown: this.onkeydown,
+    };
+  }
+}
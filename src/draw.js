@@ -0,0 +1,71 @@
+import Vector2 from './Vector2';
+import {getMouseEventPos} from './mouseUtils';
+import {Behavior} from './behavior';
+
+// drag on the canvas to create something, eg. click to create an item and drag
+// to set its size. the app does the creating in the onDraw* callbacks
+export class DrawBehavior extends Behavior {
+  // the pointer which is drawing, or null if none is
+  pointerId = null;
+  drawStartPos = new Vector2();
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.drawStartPos.sub(delta);
+  }
+
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
+    if (this.acquireLock('drag')) {
+      this.consumeEvent(e);
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.drawStartPos.copyFrom(getMouseEventPos(e, this.canvas));
+
+      this.props.onDrawStart?.(this.drawStartPos);
+    }
+  };
+
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.pointerId = null;
+    this.props.onDrawComplete?.({
+      to: getMouseEventPos(e, this.canvas),
+      from: this.drawStartPos,
+    });
+    this.releaseLock('drag');
+  };
+
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.releaseLock('drag');
+  };
+
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.props.onDrawMove?.({
+      to: getMouseEventPos(e, this.canvas),
+      from: this.drawStartPos,
+    });
+  };
+
+  onReleaseLock(type) {
+    // if we're still drawing, it was cancelled or taken over by a higher
+    // priority behavior before it completed
+    if (this.pointerId != null) {
+      this.pointerId = null;
+      this.props.onDrawCancel?.();
+    }
+  }
+
+  getEventHandlers() {
+    return {
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
+    };
+  }
+}
@@ -0,0 +1,166 @@
+import React from 'react';
+
+import Polygon from './Polygon';
+import {getMouseEventPos} from './mouseUtils';
+import {Behavior} from './behavior';
+import {getSelectionModifier} from './selection';
+
+const {useState, useImperativeHandle, forwardRef} = React;
+
+// in pixels. pointer moves shorter than this don't add a point to the path
+const MIN_POINT_DISTANCE = 3;
+
+// how a lasso picks items, given the behavior's policy (see
+// resolveSelectionPolicy). a 'directional' lasso drawn clockwise contains, and
+// anticlockwise intersects, as starting it by dragging right goes clockwise
+export function resolveLassoPolicy(policy, polygon) {
+  if (policy === 'directional') {
+    return polygon.getSignedArea() > 0 ? 'contain' : 'intersect';
+  }
+  return policy ?? 'intersect';
+}
+
+// select by drawing a freeform path around things. like SelectBoxBehavior, but
+// calls props.onSelectPolygon(polygon, modifier, policy) when the path is
+// finished, and props.onSelectPolygonChange(polygon, modifier, policy) while
+// drawing it (then with null at the end), with props.policy resolved by
+// resolveLassoPolicy. props.setLassoPoints updates the Lasso overlay
+export class LassoSelectBehavior extends Behavior {
+  // the pointer which is drawing the lasso, or null if none is
+  pointerId = null;
+  points = [];
+  modifier = 'replace';
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.points = this.points.map((point) => point.clone().sub(delta));
+    if (this.pointerId != null) this.updateLasso();
+  }
+
+  onDisabled() {
+    this.props.setLassoPoints?.(null);
+  }
+
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
+    if (this.acquireLock('drag')) {
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.points = [getMouseEventPos(e, this.canvas)];
+      this.modifier = getSelectionModifier(e);
+    }
+  };
+
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.releaseLock('drag');
+
+    const polygon = new Polygon(this.points);
+    this.props.onSelectPolygon?.(
+      polygon,
+      getSelectionModifier(e),
+      resolveLassoPolicy(this.props.policy, polygon)
+    );
+  };
+
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.releaseLock('drag');
+  };
+
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    const mousePos = getMouseEventPos(e, this.canvas);
+    // the modifier keys can change while drawing the lasso
+    this.modifier = getSelectionModifier(e);
+    if (
+      mousePos.distanceTo(this.points[this.points.length - 1]) <
+      MIN_POINT_DISTANCE
+    ) {
+      return;
+    }
+    this.points = [...this.points, mousePos];
+    this.updateLasso();
+  };
+
+  // show the lasso and preview its selection, after the points change
+  updateLasso() {
+    const polygon = new Polygon(this.points);
+    const policy = resolveLassoPolicy(this.props.policy, polygon);
+    this.props.setLassoPoints?.(this.points, policy);
+    this.props.onSelectPolygonChange?.(polygon, this.modifier, policy);
+  }
+
+  // run both when we finish selecting and when a higher priority behavior takes
+  // the lock from us
+  onReleaseLock(type) {
+    this.pointerId = null;
+    this.props.setLassoPoints?.(null);
+    this.props.onSelectPolygonChange?.(null, this.modifier);
+  }
+
+  getEventHandlers() {
+    return {
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
+    };
+  }
+}
+
+const LASSO_POLICY_STYLES = {
+  intersect: {fillOpacity: 0.3, strokeDasharray: '4 2'},
+  contain: {fillOpacity: 0.15, strokeDasharray: null},
+};
+
+// the path being drawn by LassoSelectBehavior, styled to show its policy like
+// SelectBox. should be positioned at the top left of the canvas
+export const Lasso = React.memo(
+  forwardRef(function Lasso(props, ref) {
+    const [lasso, setLasso] = useState(null);
+
+    useImperativeHandle(ref, () => ({
+      setLassoPoints: (points, policy) =>
+        setLasso(points ? {points, policy} : null),
+    }));
+
+    const lassoPoints = lasso?.points;
+
+    return (
+      <div
+        style={{
+          height: 0,
+          width: 0,
+        }}
+      >
+        {lassoPoints && (
+          <svg
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              overflow: 'visible',
+              pointerEvents: 'none',
+            }}
+            width={1}
+            height={1}
+          >
+            <polygon
+              points={lassoPoints
+                .map((point) => `${point.x},${point.y}`)
+                .join(' ')}
+              fill="white"
+              stroke="white"
+              strokeOpacity={0.6}
+              {...(LASSO_POLICY_STYLES[lasso.policy] ??
+                LASSO_POLICY_STYLES.intersect)}
+            />
+          </svg>
+        )}
+      </div>
+    );
+  })
+);
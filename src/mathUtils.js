@@ -4,3 +4,15 @@ export function wrap(value, max) {
 export function clamp(value, min, max) {
   return Math.max(Math.min(value, max), min);
 }
+export function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+// easing functions map progress through an animation (0...1) to progress
+// through the change being animated
+export function easeOutCubic(t) {
+  return 1 - (1 - t) ** 3;
+}
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2;
+}
@@ -0,0 +1,337 @@
+// reading and writing Standard MIDI Files (format 0 and 1). notes are
+// {pitch, start, duration, velocity}, with pitch as a midi note number and
+// start and duration in beats (quarter notes)
+
+import {degreeToMidi, midiToNearestDegree} from './scales';
+
+const DEFAULT_PPQ = 480;
+const DEFAULT_TEMPO = 120;
+const DEFAULT_VELOCITY = 100;
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const META = 0xff;
+const META_TEMPO = 0x51;
+const META_END_OF_TRACK = 0x2f;
+const SYSEX = 0xf0;
+const SYSEX_ESCAPE = 0xf7;
+
+function stringBytes(string) {
+  return [...string].map((char) => char.charCodeAt(0));
+}
+
+function uint32Bytes(value) {
+  return [
+    (value >>> 24) & 0xff,
+    (value >>> 16) & 0xff,
+    (value >>> 8) & 0xff,
+    value & 0xff,
+  ];
+}
+
+function uint16Bytes(value) {
+  return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+// midi 'variable length quantity': 7 bits per byte, most significant first,
+// with the top bit set on all but the last byte
+function varLenBytes(value) {
+  const bytes = [value & 0x7f];
+  let remaining = value >>> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  return bytes;
+}
+
+function chunkBytes(type, data) {
+  return [...stringBytes(type), ...uint32Bytes(data.length), ...data];
+}
+
+// messages are {tick, data}, where data is the bytes of the message
+function trackBytes(messages) {
+  const data = [];
+  let prevTick = 0;
+  messages.forEach(({tick, data: messageData}) => {
+    data.push(...varLenBytes(tick - prevTick), ...messageData);
+    prevTick = tick;
+  });
+  data.push(...varLenBytes(0), META, META_END_OF_TRACK, 0);
+  return chunkBytes('MTrk', data);
+}
+
+function tempoMessage(tempo) {
+  const microsecondsPerBeat = Math.round(60000000 / tempo);
+  return {
+    tick: 0,
+    data: [META, META_TEMPO, 3, ...uint32Bytes(microsecondsPerBeat).slice(1)],
+  };
+}
+
+// notes with pitches which midi can't represent are left out. as there can't
+// be anything before the start of a file, if any notes start before beat 0 all
+// of the notes are moved later so that the earliest starts at 0
+function noteMessages(notes, ppq, channel) {
+  const validNotes = notes.filter(
+    (note) =>
+      Number.isInteger(note.pitch) && note.pitch >= 0 && note.pitch < 128
+  );
+  const offset = Math.max(
+    0,
+    ...validNotes.map((note) => -Math.round(note.start * ppq))
+  );
+
+  const messages = [];
+  validNotes.forEach((note) => {
+    const velocity = note.velocity ?? DEFAULT_VELOCITY;
+    const start = Math.round(note.start * ppq) + offset;
+    // notes are at least a tick long, so they end after they start
+    const end = Math.max(
+      Math.round((note.start + note.duration) * ppq) + offset,
+      start + 1
+    );
+    messages.push(
+      {tick: start, data: [NOTE_ON | channel, note.pitch, velocity]},
+      {tick: end, data: [NOTE_OFF | channel, note.pitch, 0]}
+    );
+  });
+
+  // at the same tick, end notes before starting new ones, so that repeated
+  // notes aren't cut off
+  return messages.sort(
+    (a, b) => a.tick - b.tick || (a.data[0] & 0xf0) - (b.data[0] & 0xf0)
+  );
+}
+
+// returns the file as a Uint8Array. format 0 puts everything in one track,
+// format 1 puts the tempo in the first track and the notes in the second.
+// see noteMessages for how notes which can't be written as they are are handled
+export function writeMidiFile(
+  notes,
+  {format = 1, ppq = DEFAULT_PPQ, tempo = DEFAULT_TEMPO, channel = 0} = {}
+) {
+  if (format !== 0 && format !== 1) {
+    throw new Error(`unsupported midi file format ${format}`);
+  }
+  const tempoMessages = [tempoMessage(tempo)];
+  const notesMessages = noteMessages(notes, ppq, channel);
+
+  const tracks =
+    format === 0
+      ? [trackBytes([...tempoMessages, ...notesMessages])]
+      : [trackBytes(tempoMessages), trackBytes(notesMessages)];
+
+  const header = chunkBytes('MThd', [
+    ...uint16Bytes(format),
+    ...uint16Bytes(tracks.length),
+    ...uint16Bytes(ppq),
+  ]);
+
+  return new Uint8Array([...header, ...tracks.flat()]);
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  ensureAvailable(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('unexpected end of midi file');
+    }
+  }
+
+  uint8() {
+    this.ensureAvailable(1);
+    return this.bytes[this.offset++];
+  }
+
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  uint32() {
+    return ((this.uint16() << 16) | this.uint16()) >>> 0;
+  }
+
+  string(length) {
+    this.ensureAvailable(length);
+    const string = String.fromCharCode(
+      ...this.bytes.subarray(this.offset, this.offset + length)
+    );
+    this.offset += length;
+    return string;
+  }
+
+  varLen() {
+    let value = 0;
+    let byte;
+    do {
+      byte = this.uint8();
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  }
+
+  skip(length) {
+    this.ensureAvailable(length);
+    this.offset += length;
+  }
+}
+
+function parseTrack(reader, trackEnd, trackIndex, ppq, result) {
+  let tick = 0;
+  let runningStatus = null;
+  // notes which have started but not ended, keyed by channel and pitch
+  const openNotes = new Map();
+
+  const endNote = (channel, pitch) => {
+    const key = channel * 128 + pitch;
+    const started = openNotes.get(key);
+    if (!started?.length) return;
+    const note = started.shift();
+    note.duration = tick / ppq - note.start;
+    result.notes.push(note);
+  };
+
+  while (reader.offset < trackEnd) {
+    tick += reader.varLen();
+
+    let status = reader.uint8();
+    if (status < 0x80) {
+      // running status: this byte is data for a repeat of the previous status
+      if (runningStatus == null) {
+        throw new Error('midi data byte without a status');
+      }
+      reader.offset--;
+      status = runningStatus;
+    }
+
+    if (status === META) {
+      const type = reader.uint8();
+      const length = reader.varLen();
+      if (type === META_TEMPO && length === 3 && result.tempo == null) {
+        const microsecondsPerBeat =
+          (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        result.tempo = 60000000 / microsecondsPerBeat;
+      } else {
+        reader.skip(length);
+      }
+      if (type === META_END_OF_TRACK) break;
+      continue;
+    }
+    if (status === SYSEX || status === SYSEX_ESCAPE) {
+      reader.skip(reader.varLen());
+      continue;
+    }
+
+    runningStatus = status;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    switch (type) {
+      case NOTE_ON: {
+        const pitch = reader.uint8();
+        const velocity = reader.uint8();
+        if (velocity === 0) {
+          endNote(channel, pitch);
+        } else {
+          const key = channel * 128 + pitch;
+          if (!openNotes.has(key)) openNotes.set(key, []);
+          openNotes.get(key).push({
+            pitch,
+            velocity,
+            channel,
+            track: trackIndex,
+            start: tick / ppq,
+            duration: 0,
+          });
+        }
+        break;
+      }
+      case NOTE_OFF:
+        endNote(channel, reader.uint8());
+        reader.uint8(); // release velocity
+        break;
+      case 0xc0: // program change
+      case 0xd0: // channel pressure
+        reader.uint8();
+        break;
+      default:
+        // all other channel messages have 2 data bytes
+        reader.skip(2);
+        break;
+    }
+  }
+
+  // end any notes which are never turned off at the end of the track
+  openNotes.forEach((started, key) => {
+    while (started.length) endNote(Math.floor(key / 128), key % 128);
+  });
+  reader.offset = trackEnd;
+}
+
+// returns {format, ppq, tempo, notes}, where tempo is from the first tempo
+// event (or the midi default of 120bpm if there are none), and notes have the
+// channel and track they were in
+export function parseMidiFile(bytes) {
+  const reader = new ByteReader(bytes);
+
+  if (reader.string(4) !== 'MThd') {
+    throw new Error('not a midi file');
+  }
+  const headerLength = reader.uint32();
+  const headerEnd = reader.offset + headerLength;
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  if (format > 1) {
+    throw new Error(`unsupported midi file format ${format}`);
+  }
+  if (division & 0x8000) {
+    throw new Error('midi files with SMPTE timing are not supported');
+  }
+  reader.offset = headerEnd;
+
+  const result = {format, ppq: division, tempo: null, notes: []};
+
+  let trackIndex = 0;
+  while (trackIndex < trackCount && reader.offset < bytes.length) {
+    const type = reader.string(4);
+    const length = reader.uint32();
+    const chunkEnd = reader.offset + length;
+    if (type === 'MTrk') {
+      parseTrack(reader, chunkEnd, trackIndex, division, result);
+      trackIndex++;
+    }
+    // skip unknown chunk types
+    reader.offset = chunkEnd;
+  }
+
+  result.tempo = result.tempo ?? DEFAULT_TEMPO;
+  result.notes.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+  return result;
+}
+
+// convert events with scale degrees to notes, where degree 0 is the root note
+export function eventsToMidiNotes(events, root, intervals) {
+  return events.map((ev) => ({
+    pitch: degreeToMidi(ev.degree, root, intervals),
+    start: ev.start,
+    duration: ev.duration,
+  }));
+}
+
+// convert notes to events with scale degrees (without ids). notes which aren't
+// in the scale are moved to the nearest scale degree, and also returned in
+// outOfScale
+export function midiNotesToEvents(notes, root, intervals) {
+  const outOfScale = [];
+  const events = notes.map((note) => {
+    const {degree, exact} = midiToNearestDegree(note.pitch, root, intervals);
+    if (!exact) outOfScale.push(note);
+    return {degree, start: note.start, duration: note.duration};
+  });
+  return {events, outOfScale};
+}
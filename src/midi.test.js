@@ -0,0 +1,66 @@
+import {writeMidiFile, parseMidiFile} from './midi';
+
+// write notes to a file and read them back
+function roundTrip(notes, options) {
+  return parseMidiFile(writeMidiFile(notes, options));
+}
+
+describe('writeMidiFile', () => {
+  it('round trips notes through parseMidiFile', () => {
+    const notes = [
+      {pitch: 60, start: 0, duration: 1},
+      {pitch: 64, start: 1, duration: 0.5},
+      {pitch: 67, start: 1.5, duration: 2.5},
+    ];
+    for (const format of [0, 1]) {
+      const parsed = roundTrip(notes, {format, tempo: 90});
+      expect(parsed.format).toBe(format);
+      expect(parsed.tempo).toBeCloseTo(90);
+      expect(
+        parsed.notes.map(({pitch, start, duration}) => ({
+          pitch,
+          start,
+          duration,
+        }))
+      ).toEqual(notes);
+    }
+  });
+
+  it('moves notes starting before beat 0 so the earliest starts at 0', () => {
+    const parsed = roundTrip([
+      {pitch: 60, start: -2, duration: 1},
+      {pitch: 62, start: 1, duration: 1},
+    ]);
+    expect(parsed.notes.map(({pitch, start}) => ({pitch, start}))).toEqual([
+      {pitch: 60, start: 0},
+      {pitch: 62, start: 3},
+    ]);
+  });
+
+  it('leaves out notes with pitches outside the midi range', () => {
+    const parsed = roundTrip([
+      {pitch: -1, start: 0, duration: 1},
+      {pitch: 60, start: 0, duration: 1},
+      {pitch: 128, start: 0, duration: 1},
+      {pitch: 200, start: 1, duration: 1},
+      {pitch: 61, start: 1, duration: 1},
+    ]);
+    expect(parsed.notes.map((note) => note.pitch)).toEqual([60, 61]);
+    expect(parsed.notes.every((note) => note.duration === 1)).toBe(true);
+  });
+
+  it('writes zero length notes so that they end', () => {
+    const ppq = 480;
+    const parsed = roundTrip(
+      [
+        {pitch: 60, start: 0, duration: 0},
+        {pitch: 60, start: 1, duration: 1},
+      ],
+      {ppq}
+    );
+    expect(parsed.notes).toHaveLength(2);
+    expect(parsed.notes[0].duration).toBeCloseTo(1 / ppq);
+    expect(parsed.notes[1].start).toBe(1);
+    expect(parsed.notes[1].duration).toBe(1);
+  });
+});
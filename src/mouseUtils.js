@@ -8,3 +8,14 @@ export function getMouseEventPos(event, canvas) {
     y: event.clientY - rect.top,
   });
 }
+
+// normalized description of a pointer event (mouse, pen or touch contact), with
+// its position relative to some element (typically the viewport canvas)
+export function getPointerEventInfo(event, canvas) {
+  return {
+    pointerId: event.pointerId,
+    pointerType: event.pointerType,
+    isPrimary: event.isPrimary,
+    position: getMouseEventPos(event, canvas),
+  };
+}
@@ -1,4 +1,13 @@
+import SpatialIndex, {rectAroundPoint} from './SpatialIndex';
+
+// renderedRects is either an array of {rect, object} in the order they were
+// rendered (so later ones are in front), or a SpatialIndex of them
+
 export function getIntersectingRenderedRect(point, renderedRects) {
+  if (renderedRects instanceof SpatialIndex) {
+    return renderedRects.queryPoint(point);
+  }
+
   let intersecting = null;
 
   // iterate in reverse to visit frontmost rects first
@@ -25,13 +34,25 @@ export function getIntersectingEvent(point, renderedRects) {
   return null;
 }
 
-export function findIntersectingEvents(rect, renderedRects) {
+// by default, finds rects which intersect (or touch) rect. predicate(itemRect,
+// rect) can test for something else, eg. being contained by rect
+export function findIntersectingEvents(
+  rect,
+  renderedRects,
+  predicate = (itemRect, rect) => itemRect.intersectsRect(rect)
+) {
+  if (renderedRects instanceof SpatialIndex) {
+    return renderedRects
+      .queryRect(rect, predicate)
+      .map((renderedRect) => renderedRect.object);
+  }
+
   let intersecting = [];
   // iterate in reverse to visit frontmost rects first
   for (var i = renderedRects.length - 1; i >= 0; i--) {
     const renderedRect = renderedRects[i];
 
-    const intersection = renderedRect.rect.intersectsRect(rect);
+    const intersection = predicate(renderedRect.rect, rect);
     if (intersection) {
       // clicked on this rect
       intersecting.push(renderedRect.object);
@@ -40,3 +61,70 @@ export function findIntersectingEvents(rect, renderedRects) {
 
   return intersecting;
 }
+
+// the objects of rects which intersect a Polygon (or with options.contained,
+// which are entirely inside it), from front to back
+export function findEventsInPolygon(polygon, renderedRects, options) {
+  const test = (rect) =>
+    options?.contained
+      ? polygon.containsRect(rect)
+      : polygon.intersectsRect(rect);
+
+  // only the rects within the polygon's bounds need to be checked
+  const candidates =
+    renderedRects instanceof SpatialIndex
+      ? renderedRects.queryRect(polygon.getBoundingRect())
+      : [...renderedRects].reverse();
+
+  return candidates
+    .filter((renderedRect) => test(renderedRect.rect))
+    .map((renderedRect) => renderedRect.object);
+}
+
+// find the frontmost rect with its left or right edge within threshold of
+// point. returns {renderedRect, edge} where edge is 'left' or 'right'
+export function getIntersectingRenderedRectEdge(
+  point,
+  renderedRects,
+  threshold
+) {
+  // only the rects near the point need to be checked, from front to back
+  const candidates =
+    renderedRects instanceof SpatialIndex
+      ? renderedRects.queryRect(rectAroundPoint(point, threshold))
+      : [...renderedRects].reverse();
+
+  for (const renderedRect of candidates) {
+    const {position, size} = renderedRect.rect;
+
+    if (point.y <= position.y || point.y >= position.y + size.y) continue;
+
+    // on narrow rects, leave some space in the middle between the edges
+    const edgeThreshold = Math.min(threshold, size.x / 4);
+    if (Math.abs(point.x - position.x) <= edgeThreshold) {
+      return {renderedRect, edge: 'left'};
+    }
+    if (Math.abs(point.x - (position.x + size.x)) <= edgeThreshold) {
+      return {renderedRect, edge: 'right'};
+    }
+    if (renderedRect.rect.containsPoint(point)) {
+      // the middle of this rect hides the edges of any rects behind it
+      return null;
+    }
+  }
+
+  return null;
+}
+
+export function getIntersectingEventEdge(point, renderedRects, threshold) {
+  const intersecting = getIntersectingRenderedRectEdge(
+    point,
+    renderedRects,
+    threshold
+  );
+  if (intersecting) {
+    return {event: intersecting.renderedRect.object, edge: intersecting.edge};
+  }
+
+  return null;
+}
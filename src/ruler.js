@@ -0,0 +1,162 @@
+import Rect from './Rect';
+import {RectNode, TextNode, LineNode} from './scene';
+import {getMouseEventPos} from './mouseUtils';
+import {Behavior} from './behavior';
+
+// grid lines and rulers for a Scene, at ticks (eg. from getTicks) with their
+// position in world coords along the x axis. visible is the AABB of the world
+// which is on screen (see getVisibleWorldAABB). they're kept in a GroupNode of
+// the scene, so nodes are updated in place rather than made again
+
+const DEFAULT_RULER_HEIGHT = 16;
+const DEFAULT_RULER_STYLE = {fillStyle: '#222'};
+const DEFAULT_LABEL_STYLE = {fillStyle: '#aaa', font: '10px Lucida Grande'};
+const DEFAULT_LINE_STYLE = {strokeStyle: '#fff', globalAlpha: 0.1};
+// in pixels. pointer moves shorter than this are still a click
+const CLICK_MAX_MOVE_DISTANCE = 5;
+
+// make group's children vertical lines across the visible region. getStyle(tick)
+// can give each line a different style, eg. to make some heavier than others
+export function updateGridLines(
+  group,
+  ticks,
+  {visible, getStyle = () => DEFAULT_LINE_STYLE, zIndex = 0}
+) {
+  group.sync(
+    ticks.map((tick) => ({
+      key: tick.value,
+      type: LineNode,
+      props: {
+        from: {x: tick.position, y: visible.min.y},
+        to: {x: tick.position, y: visible.max.y},
+        style: getStyle(tick),
+        zIndex,
+      },
+    }))
+  );
+}
+
+// make group's children a ruler along the top of the screen, with
+// getLabel(tick) at each tick. height is in screen pixels, so it stays the same
+// size as the view is zoomed
+export function updateRuler(
+  group,
+  ticks,
+  {
+    visible,
+    viewport,
+    getLabel = (tick) => String(tick.value),
+    height = DEFAULT_RULER_HEIGHT,
+    style = DEFAULT_RULER_STYLE,
+    labelStyle = DEFAULT_LABEL_STYLE,
+    zIndex = 0,
+  }
+) {
+  const worldHeight = viewport.sizeYFromScreen(height);
+  const specs = [
+    {
+      key: 'background',
+      type: RectNode,
+      props: {
+        rect: new Rect({
+          position: visible.min,
+          size: {x: visible.max.x - visible.min.x, y: worldHeight},
+        }),
+        style,
+        zIndex,
+      },
+    },
+  ];
+
+  ticks.forEach((tick, i) => {
+    specs.push({
+      key: `line:${tick.value}`,
+      type: LineNode,
+      props: {
+        from: {x: tick.position, y: visible.min.y},
+        to: {x: tick.position, y: visible.min.y + worldHeight},
+        style: {strokeStyle: labelStyle.fillStyle},
+        zIndex,
+      },
+    });
+    // the label is clipped to the space before the next tick
+    const next = ticks[i + 1]?.position ?? visible.max.x;
+    specs.push({
+      key: `label:${tick.value}`,
+      type: TextNode,
+      props: {
+        text: getLabel(tick),
+        rect: new Rect({
+          position: {x: tick.position, y: visible.min.y},
+          size: {x: next - tick.position, y: worldHeight},
+        }),
+        offset: {x: 3, y: height - 4},
+        style: labelStyle,
+        zIndex,
+      },
+    });
+  });
+  group.sync(specs);
+}
+
+// click on the ruler along the top of the canvas to call props.onSeek(x), or
+// drag along it to call props.onRegionChange({from, to}) as the region changes,
+// with x positions in screen pixels (eg. to move the playhead, or set the loop
+// region). props.height is the ruler's height, as for addRuler. give it a
+// higher priority than behaviors which handle pointerdowns on the content
+export class RulerBehavior extends Behavior {
+  // the pointer which is on the ruler, or null if none is
+  pointerId = null;
+  fromX = 0;
+  dragged = false;
+
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
+    const pos = getMouseEventPos(e, this.canvas);
+    if (pos.y > (this.props.height ?? DEFAULT_RULER_HEIGHT)) return;
+    if (this.acquireLock('drag')) {
+      this.consumeEvent(e);
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.fromX = pos.x;
+      this.dragged = false;
+    }
+  };
+
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    const x = getMouseEventPos(e, this.canvas).x;
+    if (Math.abs(x - this.fromX) > CLICK_MAX_MOVE_DISTANCE) {
+      this.dragged = true;
+    }
+    if (this.dragged) {
+      this.props.onRegionChange?.({from: this.fromX, to: x});
+    }
+  };
+
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.pointerId = null;
+    this.releaseLock('drag');
+    if (!this.dragged) {
+      this.props.onSeek?.(this.fromX);
+    }
+  };
+
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.pointerId = null;
+    this.releaseLock('drag');
+  };
+
+  getEventHandlers() {
+    return {
+      pointerdown: this.onPointerDown,
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+    };
+  }
+}
@@ -0,0 +1,157 @@
+import {wrap} from './mathUtils';
+
+// semitones above the root of each degree of the scale
+export const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  majorPentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+
+// options for makeScale. scale is a key of SCALES or 'custom' to use
+// customIntervals
+export const DEFAULT_SCALE_OPTIONS = {
+  root: 60, // C4
+  scale: 'major',
+  customIntervals: [0, 2, 4, 7, 9],
+  octaves: 1,
+};
+
+// the range of midi note numbers
+export const MIN_MIDI_NOTE = 0;
+export const MAX_MIDI_NOTE = 127;
+
+export const NOTE_NAMES = [
+  'C',
+  'C#',
+  'D',
+  'D#',
+  'E',
+  'F',
+  'F#',
+  'G',
+  'G#',
+  'A',
+  'A#',
+  'B',
+];
+
+// midi note number of a scale degree, where degree 0 is the root (a midi note
+// number). degrees past the end of the scale continue into the next octave
+export function degreeToMidi(degree, root, intervals) {
+  const octave = Math.floor(degree / intervals.length);
+  return root + octave * 12 + intervals[wrap(degree, intervals.length)];
+}
+
+export function midiToFrequency(midiNote) {
+  // A4 (midi note 69) is 440hz
+  return 440 * 2 ** ((midiNote - 69) / 12);
+}
+
+export function midiNoteName(midiNote) {
+  return `${NOTE_NAMES[wrap(midiNote, 12)]}${Math.floor(midiNote / 12) - 1}`;
+}
+
+// the scale degree closest to a midi note. exact is false if the note isn't in
+// the scale. when it's halfway between two degrees the lower one is used
+export function midiToNearestDegree(midiNote, root, intervals) {
+  const octave = Math.floor((midiNote - root) / 12);
+  const semitones = midiNote - root - octave * 12;
+
+  let nearestIndex = 0;
+  let nearestDistance = Infinity;
+  // include the root of the next octave, which may be nearer than the last
+  // degree of this one
+  [...intervals, 12].forEach((interval, index) => {
+    const distance = Math.abs(interval - semitones);
+    if (distance < nearestDistance) {
+      nearestIndex = index;
+      nearestDistance = distance;
+    }
+  });
+
+  return {
+    degree: octave * intervals.length + nearestIndex,
+    exact: nearestDistance === 0,
+  };
+}
+
+// a scale starting at a root note and spanning some number of octaves, with
+// helpers to convert between its degrees and midi notes
+export function makeScale(options) {
+  const {root, scale, customIntervals, octaves} = {
+    ...DEFAULT_SCALE_OPTIONS,
+    ...options,
+  };
+  const intervals =
+    scale === 'custom' ? customIntervals : SCALES[scale] ?? SCALES.major;
+
+  return {
+    root,
+    intervals,
+    degreeCount: intervals.length * octaves,
+    degreeToMidi: (degree) => degreeToMidi(degree, root, intervals),
+    midiToNearestDegree: (midiNote) =>
+      midiToNearestDegree(midiNote, root, intervals),
+    degreeLabel: (degree) =>
+      midiNoteName(degreeToMidi(degree, root, intervals)),
+  };
+}
+
+// the degree of toScale nearest in pitch to a degree of fromScale
+export function remapDegree(degree, fromScale, toScale) {
+  return toScale.midiToNearestDegree(fromScale.degreeToMidi(degree)).degree;
+}
+
+// maps degrees when the options for makeScale change from fromOptions to
+// toOptions. when the intervals change, degrees move to the nearest pitch in the
+// new scale. changing the root keeps the degrees, so transposes them
+export function makeDegreeRemapper(fromOptions, toOptions) {
+  const fromScale = makeScale(fromOptions);
+  // the new intervals, from the old root
+  const toScale = makeScale({...toOptions, root: fromScale.root});
+  if (fromScale.intervals.join(' ') === toScale.intervals.join(' ')) {
+    return (degree) => degree;
+  }
+  return (degree) => remapDegree(degree, fromScale, toScale);
+}
+
+// an event ({start, degree, ...}) moved by start (in quarter notes) and degree
+export function moveEvent(ev, {start = 0, degree = 0}) {
+  return {...ev, start: ev.start + start, degree: ev.degree + degree};
+}
+
+// whether all the events can be moved by degree (see moveEvent) and stay within
+// the range of midi notes. like dragging, they can go past the ends of the
+// scale's range and before the start of the sequence
+export function canMoveEvents(events, {degree = 0}, scale) {
+  return events.every((ev) => {
+    const midiNote = scale.degreeToMidi(ev.degree + degree);
+    return midiNote >= MIN_MIDI_NOTE && midiNote <= MAX_MIDI_NOTE;
+  });
+}
+
+// parse a list of intervals like '0 2 4 7 9' (semitones above the root). returns
+// null if it isn't a valid scale, which must include the root (0)
+export function parseIntervals(text) {
+  const values = text
+    .split(/[\s,]+/)
+    .filter((value) => value !== '')
+    .map(Number);
+  if (
+    !values.includes(0) ||
+    !values.every(
+      (value) => Number.isInteger(value) && value >= 0 && value < 12
+    )
+  ) {
+    return null;
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
@@ -0,0 +1,123 @@
+import {
+  parseIntervals,
+  makeScale,
+  remapDegree,
+  makeDegreeRemapper,
+  moveEvent,
+  canMoveEvents,
+} from './scales';
+
+describe('parseIntervals', () => {
+  it('parses intervals separated by spaces or commas', () => {
+    expect(parseIntervals('0 2 4 7 9')).toEqual([0, 2, 4, 7, 9]);
+    expect(parseIntervals(' 0, 3,7 ')).toEqual([0, 3, 7]);
+  });
+
+  it('sorts and removes duplicates', () => {
+    expect(parseIntervals('7 0 4 4')).toEqual([0, 4, 7]);
+  });
+
+  it('rejects invalid lists', () => {
+    expect(parseIntervals('')).toBe(null);
+    expect(parseIntervals('0 2 x')).toBe(null);
+    expect(parseIntervals('0 12')).toBe(null);
+    expect(parseIntervals('0 1.5')).toBe(null);
+  });
+
+  it('rejects lists without the root', () => {
+    expect(parseIntervals('2 4 7')).toBe(null);
+  });
+
+  it('gives scales which remap to and from the root', () => {
+    const major = makeScale({root: 60, scale: 'major', octaves: 2});
+    const custom = makeScale({
+      root: 60,
+      scale: 'custom',
+      customIntervals: parseIntervals('0 4 7'),
+      octaves: 2,
+    });
+    expect(remapDegree(0, major, custom)).toBe(0);
+    expect(remapDegree(7, major, custom)).toBe(3);
+    expect(remapDegree(3, custom, major)).toBe(7);
+  });
+});
+
+describe('makeDegreeRemapper', () => {
+  const cMajor = {root: 60, scale: 'major', octaves: 1};
+
+  it('keeps the degrees when the root changes', () => {
+    const remap = makeDegreeRemapper(cMajor, {...cMajor, root: 67});
+    expect([0, 3, 6, -1, 9].map(remap)).toEqual([0, 3, 6, -1, 9]);
+  });
+
+  it('keeps the degrees when the number of octaves changes', () => {
+    const remap = makeDegreeRemapper(cMajor, {...cMajor, octaves: 3});
+    expect([0, 3, 6].map(remap)).toEqual([0, 3, 6]);
+  });
+
+  it('moves to the nearest pitch when the intervals change', () => {
+    const remap = makeDegreeRemapper(cMajor, {...cMajor, scale: 'minor'});
+    // E (4 semitones) is halfway between Eb and F, so goes to Eb
+    expect([0, 2, 4, 7].map(remap)).toEqual([0, 2, 4, 7]);
+
+    const pentatonic = makeDegreeRemapper(cMajor, {
+      ...cMajor,
+      scale: 'majorPentatonic',
+    });
+    // C D E F G A B -> C D E E G A C
+    expect([0, 1, 2, 3, 4, 5, 6].map(pentatonic)).toEqual([
+      0,
+      1,
+      2,
+      2,
+      3,
+      4,
+      5,
+    ]);
+  });
+
+  it('remaps from the old root when both change', () => {
+    const remap = makeDegreeRemapper(cMajor, {
+      ...cMajor,
+      root: 62,
+      scale: 'majorPentatonic',
+    });
+    expect([0, 4, 7].map(remap)).toEqual([0, 3, 5]);
+  });
+});
+
+describe('moving events', () => {
+  const scale = makeScale({root: 60, scale: 'major', octaves: 1});
+  const events = [
+    {id: 'a', start: 0, degree: 0},
+    {id: 'b', start: 2, degree: 6},
+  ];
+
+  it('moves by an octave past the ends of the scale', () => {
+    expect(canMoveEvents(events, {degree: 7}, scale)).toBe(true);
+    expect(canMoveEvents(events, {degree: -7}, scale)).toBe(true);
+    expect(moveEvent(events[1], {degree: 7})).toEqual({
+      id: 'b',
+      start: 2,
+      degree: 13,
+    });
+  });
+
+  it('moves before the start of the sequence, like dragging', () => {
+    expect(canMoveEvents(events, {start: -4}, scale)).toBe(true);
+    expect(moveEvent(events[0], {start: -4})).toEqual({
+      id: 'a',
+      start: -4,
+      degree: 0,
+    });
+  });
+
+  it("doesn't move any events if one would leave the range of midi notes", () => {
+    // C4 is 5 octaves above C-1 (midi note 0), and the highest midi note
+    // (127) is G9, 33 degrees above B4
+    expect(canMoveEvents(events, {degree: -35}, scale)).toBe(true);
+    expect(canMoveEvents(events, {degree: -36}, scale)).toBe(false);
+    expect(canMoveEvents(events, {degree: 33}, scale)).toBe(true);
+    expect(canMoveEvents(events, {degree: 34}, scale)).toBe(false);
+  });
+});
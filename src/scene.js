@@ -0,0 +1,334 @@
+import Vector2 from './Vector2';
+import Rect from './Rect';
+import SpatialIndex from './SpatialIndex';
+import {drawRect, drawTextRect} from './canvasUtils';
+import {
+  getIntersectingEvent,
+  findIntersectingEvents,
+  findEventsInPolygon,
+} from './renderableRect';
+
+// a retained-mode scene: nodes with geometry in world (unzoomed) coords, which
+// are drawn through a ViewportTransformer. nodes with a data object are
+// registered for hit testing when rendered, so hit tests return their data.
+// nodes stay in the scene between renders until they're removed, and can be
+// changed with update()
+//
+// all nodes take {key, zIndex, style, data}. a key identifies the node among
+// its siblings, so it can be found or removed later. style is canvas context
+// attributes (eg. fillStyle, strokeStyle, globalAlpha). siblings are drawn from
+// lowest to highest zIndex, and in the order they were added when their zIndex
+// is equal
+
+// whether two values of a node's properties are the same, comparing objects (eg.
+// styles, rects and points) by their values down to depth
+function propsEqual(a, b, depth = 2) {
+  if (a === b) return true;
+  if (
+    depth === 0 ||
+    a == null ||
+    b == null ||
+    typeof a !== 'object' ||
+    typeof b !== 'object'
+  ) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => propsEqual(a[key], b[key], depth - 1))
+  );
+}
+
+class SceneNode {
+  // the group containing the node, or null if it isn't in one
+  parent = null;
+
+  constructor({key = null, zIndex = 0, style = {}, data = null} = {}) {
+    this.key = key;
+    this.zIndex = zIndex;
+    this.style = style;
+    this.data = data;
+  }
+
+  // change some of the node's properties, eg. {style}. the scene is only
+  // invalidated if they're different
+  update(props) {
+    // data is compared by identity, so hit tests return the current object
+    const changed = Object.keys(props).filter((key) =>
+      key === 'data'
+        ? this.data !== props.data
+        : !propsEqual(this[key], props[key])
+    );
+    if (changed.length === 0) return;
+    Object.assign(this, props);
+    if (changed.includes('zIndex')) {
+      this.parent?.invalidateOrder();
+    } else {
+      this.invalidate();
+    }
+  }
+
+  // the scene needs to be drawn again
+  invalidate() {
+    this.parent?.invalidate();
+  }
+
+  // the bounds of the node on screen, used for culling and hit testing
+  getScreenRect(viewport) {
+    return null;
+  }
+
+  draw(ctx, screenRect, viewport) {}
+}
+
+export class RectNode extends SceneNode {
+  constructor({rect, ...options}) {
+    super(options);
+    this.rect = rect;
+  }
+
+  getScreenRect(viewport) {
+    return new Rect({
+      position: viewport.positionToScreen(this.rect.position),
+      size: viewport.sizeToScreen(this.rect.size),
+    });
+  }
+
+  draw(ctx, screenRect) {
+    drawRect(ctx, screenRect, this.style);
+  }
+}
+
+// text clipped to a rect. offset is in screen pixels from the top left of the
+// rect, so the text doesn't scale with the zoom
+export class TextNode extends SceneNode {
+  constructor({text, rect, offset = {x: 0, y: 0}, ...options}) {
+    super(options);
+    this.text = text;
+    this.rect = rect;
+    this.offset = offset;
+  }
+
+  getScreenRect(viewport) {
+    return new Rect({
+      position: viewport.positionToScreen(this.rect.position),
+      size: viewport.sizeToScreen(this.rect.size),
+    });
+  }
+
+  draw(ctx, screenRect) {
+    drawTextRect(ctx, this.text, screenRect, this.style, {offset: this.offset});
+  }
+}
+
+// a straight line. its width (style.lineWidth) is in screen pixels
+export class LineNode extends SceneNode {
+  constructor({from, to, ...options}) {
+    super(options);
+    this.from = new Vector2(from);
+    this.to = new Vector2(to);
+  }
+
+  update({from, to, ...props}) {
+    super.update({
+      ...props,
+      ...(from && {from: new Vector2(from)}),
+      ...(to && {to: new Vector2(to)}),
+    });
+  }
+
+  getScreenRect(viewport) {
+    const from = viewport.positionToScreen(this.from);
+    const to = viewport.positionToScreen(this.to);
+    const halfWidth = (this.style.lineWidth ?? 1) / 2;
+    return Rect.fromAABB({
+      min: {
+        x: Math.min(from.x, to.x) - halfWidth,
+        y: Math.min(from.y, to.y) - halfWidth,
+      },
+      max: {
+        x: Math.max(from.x, to.x) + halfWidth,
+        y: Math.max(from.y, to.y) + halfWidth,
+      },
+    });
+  }
+
+  draw(ctx, screenRect, viewport) {
+    const from = viewport.positionToScreen(this.from);
+    const to = viewport.positionToScreen(this.to);
+    // align to the middle of pixels so 1px lines are crisp
+    const align = (value) => Math.floor(value) + 0.5;
+    Object.assign(ctx, {lineWidth: 1}, this.style);
+    ctx.beginPath();
+    ctx.moveTo(align(from.x), align(from.y));
+    ctx.lineTo(align(to.x), align(to.y));
+    ctx.stroke();
+  }
+}
+
+// a node containing other nodes, which are drawn together at the group's
+// zIndex among its siblings
+export class GroupNode extends SceneNode {
+  // in the order they were added
+  children = new Set();
+  keyedChildren = new Map();
+  // children from back to front, or null when they need sorting again
+  sortedChildren = null;
+
+  constructor({children = [], ...options} = {}) {
+    super(options);
+    children.forEach((child) => this.add(child));
+  }
+
+  // adding a node with the same key as a child replaces the child
+  add(node) {
+    node.parent?.remove(node);
+    if (node.key != null) {
+      this.remove(node.key);
+      this.keyedChildren.set(node.key, node);
+    }
+    node.parent = this;
+    this.children.add(node);
+    this.invalidateOrder();
+    return node;
+  }
+
+  // the child with a key, or null
+  get(key) {
+    return this.keyedChildren.get(key) ?? null;
+  }
+
+  // remove a child, or the child with a key
+  remove(nodeOrKey) {
+    const node =
+      nodeOrKey instanceof SceneNode ? nodeOrKey : this.get(nodeOrKey);
+    if (!node || node.parent !== this) return;
+    this.children.delete(node);
+    if (node.key != null) this.keyedChildren.delete(node.key);
+    node.parent = null;
+    this.invalidateOrder();
+  }
+
+  // make the children the nodes described by specs, which are {key, type,
+  // props}, eg. {key: 'a', type: RectNode, props: {rect, style}}. children
+  // with the same key and type are updated rather than replaced, so only what
+  // has changed invalidates the scene. other children are removed
+  sync(specs) {
+    const keys = new Set();
+    specs.forEach(({key, type, props}) => {
+      keys.add(key);
+      const child = this.get(key);
+      if (child?.constructor === type) {
+        child.update(props);
+      } else {
+        this.add(new type({...props, key}));
+      }
+    });
+    this.children.forEach((child) => {
+      if (!keys.has(child.key)) this.remove(child);
+    });
+  }
+
+  clear() {
+    if (this.children.size === 0) return;
+    this.children.forEach((child) => {
+      child.parent = null;
+    });
+    this.children = new Set();
+    this.keyedChildren = new Map();
+    this.invalidateOrder();
+  }
+
+  // the children have changed, or the zIndex of one of them
+  invalidateOrder() {
+    this.sortedChildren = null;
+    this.invalidate();
+  }
+
+  // all of the leaf nodes in the group, from back to front
+  flatten(nodes = []) {
+    if (!this.sortedChildren) {
+      // Array sort is stable, so nodes with the same zIndex keep their order
+      this.sortedChildren = [...this.children].sort(
+        (a, b) => a.zIndex - b.zIndex
+      );
+    }
+    this.sortedChildren.forEach((child) => {
+      if (child instanceof GroupNode) {
+        child.flatten(nodes);
+      } else {
+        nodes.push(child);
+      }
+    });
+    return nodes;
+  }
+}
+
+export class Scene extends GroupNode {
+  // {rect, object, node} for the nodes with data from the last render, with
+  // rect in screen coords. can be used with the functions in renderableRect
+  renderedRects = new SpatialIndex();
+  // whether any node has changed since the last render
+  dirty = true;
+  // what the last render was drawn with
+  renderedViewport = null;
+  renderedViewportDimensions = null;
+
+  invalidate() {
+    this.dirty = true;
+  }
+
+  // whether rendering would draw anything different to the last render
+  needsRender(viewport, viewportDimensions) {
+    return (
+      this.dirty ||
+      viewport !== this.renderedViewport ||
+      viewportDimensions !== this.renderedViewportDimensions
+    );
+  }
+
+  // draw the nodes which are within viewportDimensions
+  render(ctx, viewport, viewportDimensions) {
+    const screen = new Rect({
+      position: {x: 0, y: 0},
+      size: {x: viewportDimensions.width, y: viewportDimensions.height},
+    });
+    const renderedRects = [];
+
+    this.flatten().forEach((node) => {
+      const screenRect = node.getScreenRect(viewport);
+      if (!screenRect || !screenRect.intersectsRect(screen)) return;
+
+      ctx.globalAlpha = node.style.globalAlpha ?? 1;
+      node.draw(ctx, screenRect, viewport);
+
+      if (node.data != null) {
+        renderedRects.push({rect: screenRect, object: node.data, node});
+      }
+    });
+    ctx.globalAlpha = 1;
+
+    this.renderedRects = SpatialIndex.fromItems(renderedRects);
+    this.dirty = false;
+    this.renderedViewport = viewport;
+    this.renderedViewportDimensions = viewportDimensions;
+  }
+
+  // the data of the frontmost node at a point on screen, or null
+  getDataAtPos(pos) {
+    return getIntersectingEvent(pos, this.renderedRects);
+  }
+
+  // the data of the nodes intersecting a rect on screen (or for which
+  // predicate(nodeRect, rect) is true), from front to back
+  findDataInRect(rect, predicate) {
+    return findIntersectingEvents(rect, this.renderedRects, predicate);
+  }
+
+  // the data of the nodes intersecting a Polygon on screen (or with
+  // options.contained, entirely inside it), from front to back
+  findDataInPolygon(polygon, options) {
+    return findEventsInPolygon(polygon, this.renderedRects, options);
+  }
+}
@@ -0,0 +1,134 @@
+import {Scene, GroupNode, RectNode, LineNode} from './scene';
+import Rect from './Rect';
+import {ViewportTransformer} from './viewport';
+
+const rect = (x) => new Rect({position: {x, y: 0}, size: {x: 10, y: 10}});
+
+// a canvas context which draws nothing
+function makeContext() {
+  return {
+    fillRect() {},
+    strokeRect() {},
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {},
+  };
+}
+
+const viewport = new ViewportTransformer({
+  zoom: {x: 1, y: 1},
+  pan: {x: 0, y: 0},
+});
+const viewportDimensions = {width: 100, height: 100};
+
+describe('Scene', () => {
+  it('keeps keyed children, and replaces them when added again', () => {
+    const group = new GroupNode();
+    const a = group.add(new RectNode({key: 'a', rect: rect(0)}));
+    group.add(new RectNode({rect: rect(10)}));
+    expect(group.get('a')).toBe(a);
+    expect(a.parent).toBe(group);
+
+    const replacement = group.add(new RectNode({key: 'a', rect: rect(20)}));
+    expect(group.get('a')).toBe(replacement);
+    expect(a.parent).toBe(null);
+    expect(group.children.size).toBe(2);
+  });
+
+  it('removes children by node or key', () => {
+    const group = new GroupNode();
+    const a = group.add(new RectNode({key: 'a', rect: rect(0)}));
+    const b = group.add(new RectNode({rect: rect(10)}));
+    group.remove('a');
+    group.remove(b);
+    expect(group.get('a')).toBe(null);
+    expect(a.parent).toBe(null);
+    expect(group.children.size).toBe(0);
+  });
+
+  it('draws children in zIndex order, including after updates', () => {
+    const scene = new Scene();
+    const back = scene.add(new RectNode({rect: rect(0), zIndex: 1}));
+    const front = scene.add(new RectNode({rect: rect(10), zIndex: 2}));
+    expect(scene.flatten()).toEqual([back, front]);
+
+    back.update({zIndex: 3});
+    expect(scene.flatten()).toEqual([front, back]);
+  });
+
+  it('is dirty only when nodes change', () => {
+    const scene = new Scene();
+    const group = scene.add(new GroupNode());
+    const node = group.add(
+      new RectNode({key: 'a', rect: rect(0), style: {fillStyle: 'red'}})
+    );
+    scene.render(makeContext(), viewport, viewportDimensions);
+    expect(scene.dirty).toBe(false);
+    expect(scene.needsRender(viewport, viewportDimensions)).toBe(false);
+
+    // the same values in new objects
+    node.update({rect: rect(0), style: {fillStyle: 'red'}});
+    expect(scene.dirty).toBe(false);
+
+    node.update({style: {fillStyle: 'blue'}});
+    expect(scene.dirty).toBe(true);
+    expect(node.style.fillStyle).toBe('blue');
+
+    scene.render(makeContext(), viewport, viewportDimensions);
+    group.remove('a');
+    expect(scene.dirty).toBe(true);
+  });
+
+  it('needs rendering when the view changes', () => {
+    const scene = new Scene();
+    scene.render(makeContext(), viewport, viewportDimensions);
+    expect(scene.needsRender(viewport, {width: 200, height: 100})).toBe(true);
+    expect(
+      scene.needsRender(
+        new ViewportTransformer({zoom: {x: 2, y: 1}, pan: {x: 0, y: 0}}),
+        viewportDimensions
+      )
+    ).toBe(true);
+  });
+
+  it('syncs children with specs, keeping nodes with the same key and type', () => {
+    const scene = new Scene();
+    const group = scene.add(new GroupNode());
+    group.sync([
+      {key: 'a', type: RectNode, props: {rect: rect(0)}},
+      {key: 'b', type: RectNode, props: {rect: rect(10)}},
+      {key: 'c', type: RectNode, props: {rect: rect(20)}},
+    ]);
+    const a = group.get('a');
+    const b = group.get('b');
+    scene.render(makeContext(), viewport, viewportDimensions);
+
+    group.sync([
+      {key: 'a', type: RectNode, props: {rect: rect(0)}},
+      {key: 'b', type: LineNode, props: {from: {x: 0, y: 0}, to: {x: 1, y: 1}}},
+    ]);
+    expect(group.get('a')).toBe(a);
+    expect(group.get('b')).not.toBe(b);
+    expect(group.get('b')).toBeInstanceOf(LineNode);
+    expect(group.get('c')).toBe(null);
+    expect(scene.dirty).toBe(true);
+
+    scene.render(makeContext(), viewport, viewportDimensions);
+    group.sync([
+      {key: 'a', type: RectNode, props: {rect: rect(0)}},
+      {key: 'b', type: LineNode, props: {from: {x: 0, y: 0}, to: {x: 1, y: 1}}},
+    ]);
+    expect(scene.dirty).toBe(false);
+  });
+
+  it('hit tests nodes with data', () => {
+    const scene = new Scene();
+    const data = {id: 1};
+    scene.add(new RectNode({rect: rect(0), data}));
+    scene.add(new RectNode({rect: rect(5)}));
+    scene.render(makeContext(), viewport, viewportDimensions);
+    expect(scene.getDataAtPos({x: 2, y: 2})).toBe(data);
+    expect(scene.getDataAtPos({x: 12, y: 2})).toBe(null);
+  });
+});
@@ -17,37 +17,126 @@ export function getSelectionBox(start, end) {
   });
 }
 
+// how a select box from start to end picks items, given the behavior's policy:
+// 'intersect' (items overlapping the box), 'contain' (items entirely inside
+// the box), or 'directional', where dragging left to right contains and right
+// to left intersects, as in CAD tools
+export function resolveSelectionPolicy(policy, start, end) {
+  if (policy === 'directional') {
+    return end.x >= start.x ? 'contain' : 'intersect';
+  }
+  return policy ?? 'intersect';
+}
+
+// whether a select box with a (resolved) policy selects an item's rect. just
+// touching the box doesn't count as intersecting it
+export function isRectSelected(itemRect, selectBoxRect, policy) {
+  return policy === 'contain'
+    ? selectBoxRect.containsRect(itemRect)
+    : itemRect.overlapsRect(selectBoxRect);
+}
+
+// how a pointer event changes the selection, depending on the modifier keys
+// held: 'add' (shift), 'subtract' (alt), 'toggle' (ctrl/cmd) or 'replace'
+export function getSelectionModifier(e) {
+  if (e.ctrlKey || e.metaKey) return 'toggle';
+  if (e.shiftKey) return 'add';
+  if (e.altKey) return 'subtract';
+  return 'replace';
+}
+
+// a new selection, from applying a modifier (see getSelectionModifier) to
+// selection with ids
+export function updateSelection(selection, ids, modifier) {
+  switch (modifier) {
+    case 'add':
+      return new Set([...selection, ...ids]);
+    case 'subtract': {
+      const updated = new Set(selection);
+      ids.forEach((id) => updated.delete(id));
+      return updated;
+    }
+    case 'toggle': {
+      const updated = new Set(selection);
+      ids.forEach((id) => {
+        if (updated.has(id)) {
+          updated.delete(id);
+        } else {
+          updated.add(id);
+        }
+      });
+      return updated;
+    }
+    default:
+      return new Set(ids);
+  }
+}
+
 export class DragEventBehavior extends Behavior {
+  // the pointer which is dragging, or null if none is
+  pointerId = null;
   draggedEvents = [];
   dragStartPos = new Vector2();
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.dragStartPos.sub(delta);
+  }
 
-  onMouseDown = (e) => {
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
     const mousePos = getMouseEventPos(e, this.canvas);
-    const draggedEvent = this.props.getEventAtPos(mousePos);
+    // with a scene, the events are the data of its nodes
+    const draggedEvent = this.props.scene
+      ? this.props.scene.getDataAtPos(mousePos)
+      : this.props.getEventAtPos(mousePos);
 
-    if (draggedEvent) {
-      if (this.acquireLock('drag')) {
-        let draggedSelection = this.props.selection ?? new Set();
-        this.dragStartPos.copyFrom(mousePos);
+    if (!draggedEvent) return;
 
-        if (!this.props.selection?.has(draggedEvent.id)) {
-          const newSelection = new Set([draggedEvent.id]);
-          draggedSelection = newSelection;
-          this.props.setSelection?.(newSelection);
-        }
-        // take a copy of the events at the time we started dragging
-        this.draggedEvents = [];
-        draggedSelection.forEach((id) =>
-          this.draggedEvents.push(this.props.eventsMap.get(id))
+    const modifier = getSelectionModifier(e);
+    const selection = this.props.selection ?? new Set();
+    if (modifier === 'toggle' || modifier === 'subtract') {
+      // just change the selection, without dragging
+      this.consumeEvent(e);
+      this.props.setSelection?.(
+        updateSelection(selection, [draggedEvent.id], modifier)
+      );
+      return;
+    }
+
+    if (this.acquireLock('drag')) {
+      // don't let lower priority behaviors (eg. SelectBoxBehavior) act on a
+      // pointerdown on an event
+      this.consumeEvent(e);
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.props.onDragStart?.();
+      let draggedSelection = selection;
+      this.dragStartPos.copyFrom(mousePos);
+
+      if (!selection.has(draggedEvent.id)) {
+        // with 'add', drag the event along with the rest of the selection.
+        // otherwise just drag the event
+        draggedSelection = updateSelection(
+          selection,
+          [draggedEvent.id],
+          modifier
         );
+        this.props.setSelection?.(draggedSelection);
       }
+      // take a copy of the events at the time we started dragging
+      this.draggedEvents = [];
+      draggedSelection.forEach((id) =>
+        this.draggedEvents.push(this.props.eventsMap.get(id))
+      );
     }
   };
 
-  onMouseUp = (e) => {
-    if (!this.hasLock('drag')) return;
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
     const mousePos = getMouseEventPos(e, this.canvas);
 
+    this.pointerId = null;
     this.props.onDragComplete?.(this.draggedEvents, {
       to: mousePos,
       from: this.dragStartPos,
@@ -55,12 +144,13 @@ export class DragEventBehavior extends Behavior {
     this.releaseLock('drag');
   };
 
-  onMouseOut = (e) => {
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
     this.releaseLock('drag');
   };
 
-  onMouseMove = (e) => {
-    if (!this.hasLock('drag')) return;
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
     const mousePos = getMouseEventPos(e, this.canvas);
 
     this.props.onDragMove?.(this.draggedEvents, {
@@ -69,84 +159,246 @@ export class DragEventBehavior extends Behavior {
     });
   };
 
+  onReleaseLock(type) {
+    // if we're still dragging, the drag was cancelled or taken over by a
+    // higher priority behavior before it completed
+    if (this.pointerId != null) {
+      this.pointerId = null;
+      this.props.onDragCancel?.(this.draggedEvents);
+    }
+  }
+
   getEventHandlers() {
     return {
-      mousemove: this.onMouseMove,
-      // mouseout: this.onMouseOut,
-      mouseup: this.onMouseUp,
-      mousedown: this.onMouseDown,
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
     };
   }
 }
 
+// resize events by dragging the left or right edge of one of them. all of the
+// selected events are resized together
+export class EdgeResizeBehavior extends Behavior {
+  // the pointer which is resizing, or null if none is
+  pointerId = null;
+  resizedEvents = [];
+  edge = null;
+  dragStartPos = new Vector2();
+  cursor = null;
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.dragStartPos.sub(delta);
+  }
+
+  setCursor(cursor) {
+    if (cursor !== this.cursor) {
+      this.cursor = cursor;
+      this.props.setCursor?.(cursor);
+    }
+  }
+
+  onDisabled() {
+    this.setCursor(null);
+  }
+
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
+    const mousePos = getMouseEventPos(e, this.canvas);
+    const hoveredEdge = this.props.getEdgeAtPos(mousePos);
+
+    if (hoveredEdge && this.acquireLock('drag')) {
+      this.consumeEvent(e);
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.edge = hoveredEdge.edge;
+      this.dragStartPos.copyFrom(mousePos);
+      this.setCursor('ew-resize');
+      this.props.onResizeStart?.();
+
+      let resizedSelection = this.props.selection ?? new Set();
+      if (!resizedSelection.has(hoveredEdge.event.id)) {
+        resizedSelection = new Set([hoveredEdge.event.id]);
+        this.props.setSelection?.(resizedSelection);
+      }
+      // take a copy of the events at the time we started resizing
+      this.resizedEvents = [];
+      resizedSelection.forEach((id) =>
+        this.resizedEvents.push(this.props.eventsMap.get(id))
+      );
+    }
+  };
+
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.pointerId = null;
+    this.props.onResizeComplete?.(this.resizedEvents, this.edge, {
+      to: getMouseEventPos(e, this.canvas),
+      from: this.dragStartPos,
+    });
+    this.releaseLock('drag');
+  };
+
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.releaseLock('drag');
+  };
+
+  onPointerMove = (e) => {
+    const mousePos = getMouseEventPos(e, this.canvas);
+
+    if (this.hasLock('drag')) {
+      if (e.pointerId !== this.pointerId) return;
+      this.props.onResizeMove?.(this.resizedEvents, this.edge, {
+        to: mousePos,
+        from: this.dragStartPos,
+      });
+    } else if (!this.controller.lockExists('drag')) {
+      // show that an edge can be dragged when hovering over it
+      this.setCursor(this.props.getEdgeAtPos(mousePos) ? 'ew-resize' : null);
+    }
+  };
+
+  onReleaseLock(type) {
+    this.setCursor(null);
+    // if we're still resizing, the resize was cancelled or taken over by a
+    // higher priority behavior before it completed
+    if (this.pointerId != null) {
+      this.pointerId = null;
+      this.props.onResizeCancel?.(this.resizedEvents, this.edge);
+    }
+  }
+
+  getEventHandlers() {
+    return {
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
+    };
+  }
+}
+
+// calls props.onSelectRect(rect, modifier, policy) when a select box has been
+// drawn, with the modifier (see getSelectionModifier) for the keys held at the
+// end, and props.policy resolved for the direction it was drawn in (see
+// resolveSelectionPolicy). while drawing, props.onSelectRectChange(rect,
+// modifier, policy) is called so the result can be previewed, then with null
+// at the end. clicking without dragging selects an empty rect, eg. to clear
+// the selection
 export class SelectBoxBehavior extends Behavior {
+  // the pointer which is drawing the select box, or null if none is
+  pointerId = null;
   rect = new Rect();
   selectionStart = new Vector2();
   selectionEnd = new Vector2();
+  modifier = 'replace';
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.selectionStart.sub(delta);
+  }
 
   onDisabled() {
     this.props.setSelectBoxRect?.(null);
   }
 
-  onMouseDown = (e) => {
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
     if (this.acquireLock('drag')) {
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
       this.selectionStart.copyFrom(getMouseEventPos(e, this.canvas));
       this.selectionEnd.copyFrom(this.selectionStart);
+      this.modifier = getSelectionModifier(e);
     }
   };
 
-  onMouseUp = (e) => {
-    if (!this.hasLock('drag')) return;
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
 
     this.releaseLock('drag');
-    this.props.setSelectBoxRect?.(null);
 
     const selectBoxRect = getSelectionBox(
       this.selectionStart,
       this.selectionEnd
     );
 
-    this.props.onSelectRect?.(selectBoxRect);
+    this.props.onSelectRect?.(
+      selectBoxRect,
+      getSelectionModifier(e),
+      this.getPolicy()
+    );
   };
 
-  onMouseOut = (e) => {
-    if (!this.hasLock('drag')) return;
+  getPolicy() {
+    return resolveSelectionPolicy(
+      this.props.policy,
+      this.selectionStart,
+      this.selectionEnd
+    );
+  }
 
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
     this.releaseLock('drag');
-    this.props.setSelectBoxRect?.(null);
   };
 
-  onMouseMove = (e) => {
-    if (!this.hasLock('drag')) return;
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
 
     this.selectionEnd.copyFrom(getMouseEventPos(e, this.canvas));
+    // the modifier keys can change while drawing the box
+    this.modifier = getSelectionModifier(e);
 
     const selectBoxRect = getSelectionBox(
       this.selectionStart,
       this.selectionEnd
     );
 
-    this.props.setSelectBoxRect?.(selectBoxRect);
+    const policy = this.getPolicy();
+    this.props.setSelectBoxRect?.(selectBoxRect, policy);
+    this.props.onSelectRectChange?.(selectBoxRect, this.modifier, policy);
   };
 
+  // run both when we finish selecting and when a higher priority behavior takes
+  // the lock from us
+  onReleaseLock(type) {
+    this.pointerId = null;
+    this.props.setSelectBoxRect?.(null);
+    this.props.onSelectRectChange?.(null, this.modifier);
+  }
+
   getEventHandlers() {
     return {
-      mousemove: this.onMouseMove,
-      mouseout: this.onMouseOut,
-      mouseup: this.onMouseUp,
-      mousedown: this.onMouseDown,
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
     };
   }
 }
 
+const SELECT_BOX_POLICY_STYLES = {
+  intersect: {backgroundColor: 'rgba(255,255,255,0.3)', border: '1px dashed'},
+  contain: {backgroundColor: 'rgba(255,255,255,0.15)', border: '1px solid'},
+};
+
+// the box being drawn by SelectBoxBehavior, styled to show its policy
 export const SelectBox = React.memo(
   forwardRef(function SelectBox(props, ref) {
-    const [selectBoxRect, setSelectBoxRect] = useState(null);
+    const [selectBox, setSelectBox] = useState(null);
 
     useImperativeHandle(ref, () => ({
-      setSelectBoxRect,
+      setSelectBoxRect: (rect, policy) =>
+        setSelectBox(rect ? {rect, policy} : null),
     }));
 
+    const selectBoxRect = selectBox?.rect;
+
     return (
       <div
         style={{
@@ -158,8 +410,10 @@ export const SelectBox = React.memo(
           <div
             style={{
               transform: `translate3d(${selectBoxRect.position.x}px,${selectBoxRect.position.y}px,0)`,
-              backgroundColor: 'white',
-              opacity: 0.3,
+              ...(SELECT_BOX_POLICY_STYLES[selectBox.policy] ??
+                SELECT_BOX_POLICY_STYLES.intersect),
+              borderColor: 'white',
+              boxSizing: 'border-box',
               pointerEvents: 'none',
               width: selectBoxRect.size.x,
               height: selectBoxRect.size.y,
@@ -0,0 +1,37 @@
+const ATTACK_TIME = 0.01;
+const RELEASE_TIME = 0.05;
+
+// a very simple polyphonic synth, each note is an oscillator with an envelope
+export function createSynth(
+  audioContext,
+  {type = 'triangle', volume = 0.2} = {}
+) {
+  const output = audioContext.createGain();
+  output.gain.value = volume;
+  output.connect(audioContext.destination);
+
+  return {
+    // time and duration are in seconds, on the audioContext's clock
+    playNote(frequency, time, duration) {
+      const oscillator = audioContext.createOscillator();
+      oscillator.type = type;
+      oscillator.frequency.value = frequency;
+
+      const envelope = audioContext.createGain();
+      const releaseStart =
+        time + Math.max(duration - RELEASE_TIME, ATTACK_TIME);
+      envelope.gain.setValueAtTime(0, time);
+      envelope.gain.linearRampToValueAtTime(1, time + ATTACK_TIME);
+      envelope.gain.setValueAtTime(1, releaseStart);
+      envelope.gain.linearRampToValueAtTime(0, releaseStart + RELEASE_TIME);
+
+      oscillator.connect(envelope);
+      envelope.connect(output);
+      oscillator.start(time);
+      oscillator.stop(releaseStart + RELEASE_TIME);
+    },
+    disconnect() {
+      output.disconnect();
+    },
+  };
+}
@@ -0,0 +1,287 @@
+import React from 'react';
+import useRefOnce from './useRefOnce';
+import {createSynth} from './synth';
+import {wrap} from './mathUtils';
+
+const {useEffect, useState, useRef, useMemo} = React;
+
+// how far ahead (in seconds) events are scheduled, and how often (in ms) we
+// check for events to schedule. the lookahead needs to be long enough to cover
+// the timer firing late, eg. when the main thread is busy
+const DEFAULT_LOOKAHEAD = 0.1;
+const DEFAULT_INTERVAL = 25;
+
+// schedules events (with start and duration in beats) slightly ahead of when
+// they should play, so their timing doesn't depend on when the timer fires. the
+// clock and what scheduling does are provided by the caller (eg. an
+// AudioContext's currentTime and a synth), so it can be used without Web Audio
+//
+// positions are in beats from the start of the sequence. 'linear' beats count
+// from where playback started, ignoring looping
+export class Scheduler {
+  events = [];
+  tempo = 120;
+  // {start, end} in beats, or null for no looping
+  loop = null;
+  playing = false;
+  // the audio time and position at which playback started
+  startTime = 0;
+  startPosition = 0;
+  // linear beats up to which events have been scheduled
+  scheduledUntil = 0;
+  timer = null;
+
+  constructor({
+    getCurrentTime,
+    scheduleEvent,
+    onStateChange,
+    lookahead = DEFAULT_LOOKAHEAD,
+    interval = DEFAULT_INTERVAL,
+    setInterval = (fn, ms) => window.setInterval(fn, ms),
+    clearInterval = (timer) => window.clearInterval(timer),
+  }) {
+    this.getCurrentTime = getCurrentTime;
+    this.scheduleEvent = scheduleEvent;
+    this.onStateChange = onStateChange;
+    this.lookahead = lookahead;
+    this.interval = interval;
+    this.setInterval = setInterval;
+    this.clearInterval = clearInterval;
+  }
+
+  setEvents(events) {
+    this.events = events;
+  }
+
+  setTempo(tempo) {
+    if (this.playing) this.rebase();
+    this.tempo = tempo;
+  }
+
+  setLoop(loop) {
+    if (this.playing) this.rebase();
+    this.loop = loop && loop.end > loop.start ? loop : null;
+  }
+
+  beatsToSeconds(beats) {
+    return (beats * 60) / this.tempo;
+  }
+
+  linearBeatsAtTime(time) {
+    return ((time - this.startTime) * this.tempo) / 60;
+  }
+
+  timeAtLinearBeats(linearBeats) {
+    return this.startTime + this.beatsToSeconds(linearBeats);
+  }
+
+  // the position in the sequence at some linear beat, and how many beats are
+  // left until the current pass through the loop ends
+  positionAtLinearBeats(linearBeats) {
+    let position = this.startPosition + linearBeats;
+    if (!this.loop) {
+      return {position, beatsToPassEnd: Infinity};
+    }
+    if (position >= this.loop.end) {
+      position =
+        this.loop.start +
+        wrap(position - this.loop.start, this.loop.end - this.loop.start);
+    }
+    return {position, beatsToPassEnd: this.loop.end - position};
+  }
+
+  getPosition() {
+    if (!this.playing) return this.startPosition;
+    return this.positionAtLinearBeats(
+      this.linearBeatsAtTime(this.getCurrentTime())
+    ).position;
+  }
+
+  getEnd() {
+    return this.events.reduce(
+      (acc, ev) => Math.max(acc, ev.start + ev.duration),
+      0
+    );
+  }
+
+  // restart the linear beat count from now, eg. when the tempo changes
+  rebase() {
+    const now = this.getCurrentTime();
+    const linearNow = this.linearBeatsAtTime(now);
+    this.startPosition = this.positionAtLinearBeats(linearNow).position;
+    this.scheduledUntil -= linearNow;
+    this.startTime = now;
+  }
+
+  scheduleRange(fromLinear, toLinear) {
+    let passStartLinear = fromLinear;
+    while (passStartLinear < toLinear) {
+      const {position, beatsToPassEnd} = this.positionAtLinearBeats(
+        passStartLinear
+      );
+      const passEndLinear = Math.min(
+        toLinear,
+        passStartLinear + beatsToPassEnd
+      );
+      this.schedulePass(passStartLinear, passEndLinear, position);
+
+      passStartLinear = passEndLinear;
+    }
+  }
+
+  // schedule the events in a range of linear beats which doesn't cross the end
+  // of the loop, starting at position in the sequence
+  schedulePass(fromLinear, toLinear, position) {
+    const positionEnd = position + (toLinear - fromLinear);
+
+    this.events.forEach((ev) => {
+      if (ev.start >= position && ev.start < positionEnd) {
+        this.scheduleEvent(
+          ev,
+          this.timeAtLinearBeats(fromLinear + (ev.start - position)),
+          this.beatsToSeconds(ev.duration)
+        );
+      }
+    });
+  }
+
+  tick = () => {
+    const until = this.linearBeatsAtTime(
+      this.getCurrentTime() + this.lookahead
+    );
+    this.scheduleRange(this.scheduledUntil, until);
+    this.scheduledUntil = until;
+
+    if (!this.loop && this.getPosition() >= this.getEnd()) {
+      // reached the end
+      this.stop();
+    }
+  };
+
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.startTime = this.getCurrentTime();
+    this.scheduledUntil = 0;
+    this.tick();
+    this.timer = this.setInterval(this.tick, this.interval);
+    this.onStateChange?.();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.startPosition = this.getPosition();
+    this.playing = false;
+    this.clearInterval(this.timer);
+    this.timer = null;
+    this.onStateChange?.();
+  }
+
+  stop() {
+    this.pause();
+    this.seek(this.loop ? this.loop.start : 0);
+  }
+
+  seek(position) {
+    if (this.playing) {
+      this.pause();
+      this.startPosition = position;
+      this.play();
+    } else {
+      this.startPosition = position;
+      this.onStateChange?.();
+    }
+  }
+}
+
+// plays events through Web Audio. getFrequency maps an event to the frequency
+// of the note to play. the AudioContext is created on the first play(), as
+// browsers only allow starting audio in response to user input
+export function useTransport({events, tempo, loop, getFrequency}) {
+  const audioRef = useRef(null);
+  const getFrequencyRef = useRef(getFrequency);
+  getFrequencyRef.current = getFrequency;
+  // updated whenever the scheduler plays, pauses or seeks, so we re-render
+  const [schedulerState, setSchedulerState] = useState({playing: false});
+
+  const scheduler = useRefOnce(
+    () =>
+      new Scheduler({
+        getCurrentTime: () => audioRef.current?.context.currentTime ?? 0,
+        scheduleEvent: (ev, time, duration) =>
+          audioRef.current.synth.playNote(
+            getFrequencyRef.current(ev),
+            time,
+            duration
+          ),
+        onStateChange: () => setSchedulerState({playing: scheduler.playing}),
+      })
+  ).current;
+
+  useEffect(() => {
+    scheduler.setEvents(events);
+  }, [scheduler, events]);
+  useEffect(() => {
+    scheduler.setTempo(tempo);
+  }, [scheduler, tempo]);
+  useEffect(() => {
+    scheduler.setLoop(loop);
+  }, [scheduler, loop]);
+
+  useEffect(
+    () => () => {
+      scheduler.pause();
+      audioRef.current?.context.close();
+    },
+    [scheduler]
+  );
+
+  return useMemo(
+    () => ({
+      playing: schedulerState.playing,
+      play() {
+        if (!audioRef.current) {
+          const context = new (window.AudioContext ||
+            window.webkitAudioContext)();
+          audioRef.current = {context, synth: createSynth(context)};
+        }
+        audioRef.current.context.resume();
+        scheduler.play();
+      },
+      pause() {
+        scheduler.pause();
+      },
+      stop() {
+        scheduler.stop();
+      },
+      seek(position) {
+        scheduler.seek(position);
+      },
+      getPosition() {
+        return scheduler.getPosition();
+      },
+    }),
+    [schedulerState, scheduler]
+  );
+}
+
+// the current position of a transport from useTransport, updated every
+// animation frame while it's playing
+export function useTransportPosition(transport) {
+  const [position, setPosition] = useState(() => transport.getPosition());
+
+  useEffect(() => {
+    setPosition(transport.getPosition());
+    if (!transport.playing) return;
+
+    let frame = null;
+    const update = () => {
+      setPosition(transport.getPosition());
+      frame = requestAnimationFrame(update);
+    };
+    frame = requestAnimationFrame(update);
+    return () => cancelAnimationFrame(frame);
+  }, [transport]);
+
+  return position;
+}
@@ -0,0 +1,151 @@
+import {Scheduler} from './transport';
+
+// a scheduler with a clock which only moves when advance() is called, and
+// timers which only fire then
+function makeTestScheduler(options) {
+  let currentTime = 0;
+  let nextTimer = 1;
+  const timers = new Map();
+  const scheduled = [];
+
+  const scheduler = new Scheduler({
+    getCurrentTime: () => currentTime,
+    scheduleEvent: (ev, time, duration) => scheduled.push({ev, time, duration}),
+    lookahead: 0.1,
+    interval: 25,
+    setInterval: (fn, ms) => {
+      const timer = nextTimer++;
+      timers.set(timer, {fn, ms, due: currentTime + ms / 1000});
+      return timer;
+    },
+    clearInterval: (timer) => timers.delete(timer),
+    ...options,
+  });
+
+  // move the clock forward by seconds, firing timers as they become due
+  const advance = (seconds) => {
+    const end = currentTime + seconds;
+    for (;;) {
+      const due = [...timers.values()].filter((timer) => timer.due <= end);
+      if (!due.length) break;
+      const timer = due.reduce((a, b) => (b.due < a.due ? b : a));
+      currentTime = timer.due;
+      timer.due += timer.ms / 1000;
+      timer.fn();
+    }
+    currentTime = end;
+  };
+
+  return {scheduler, scheduled, timers, advance};
+}
+
+// at 120bpm a beat is 0.5s
+const events = [
+  {id: 'a', start: 0, duration: 1},
+  {id: 'b', start: 1, duration: 1},
+  {id: 'c', start: 2, duration: 2},
+];
+
+describe('Scheduler', () => {
+  it('schedules events only within the lookahead', () => {
+    const {scheduler, scheduled, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.play();
+
+    // only the first event is within 0.1s
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a']);
+
+    // b starts at 0.5s
+    advance(0.4);
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a']);
+    advance(0.05);
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a', 'b']);
+
+    advance(0.55);
+    expect(scheduled).toEqual([
+      {ev: events[0], time: 0, duration: 0.5},
+      {ev: events[1], time: 0.5, duration: 0.5},
+      {ev: events[2], time: 1, duration: 1},
+    ]);
+  });
+
+  it('schedules each event once', () => {
+    const {scheduler, scheduled, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.play();
+    advance(1.9);
+
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('stops the timer and returns to the start when stopped', () => {
+    const {scheduler, scheduled, timers, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.play();
+    advance(0.3);
+    scheduler.stop();
+
+    expect(scheduler.playing).toBe(false);
+    expect(scheduler.getPosition()).toBe(0);
+    expect(timers.size).toBe(0);
+
+    advance(2);
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a']);
+  });
+
+  it('keeps the position when paused', () => {
+    const {scheduler, timers, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.play();
+    advance(0.75);
+    scheduler.pause();
+    advance(1);
+
+    expect(scheduler.getPosition()).toBeCloseTo(1.5);
+    expect(timers.size).toBe(0);
+  });
+
+  it('stops by itself at the end of the events', () => {
+    const {scheduler, timers, advance} = makeTestScheduler();
+    const onStateChange = jest.fn();
+    scheduler.onStateChange = onStateChange;
+    scheduler.setEvents(events);
+    scheduler.play();
+    advance(3);
+
+    expect(scheduler.playing).toBe(false);
+    expect(timers.size).toBe(0);
+    expect(onStateChange).toHaveBeenCalled();
+    expect(scheduler.getPosition()).toBe(0);
+  });
+
+  it('schedules later events at the new tempo when the tempo changes', () => {
+    const {scheduler, scheduled, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.play();
+    // at 120bpm, up to beat 1.2 (b) has been scheduled by 0.5s
+    advance(0.5);
+    scheduler.setTempo(60);
+    advance(2);
+
+    // the position carries on from beat 1 at 0.5s, at 1 beat per second
+    expect(scheduler.getPosition()).toBeCloseTo(3);
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a', 'b', 'c']);
+    expect(scheduled[1].time).toBeCloseTo(0.5);
+    expect(scheduled[2].time).toBeCloseTo(1.5);
+    expect(scheduled[2].duration).toBeCloseTo(2);
+  });
+
+  it('repeats the loop', () => {
+    const {scheduler, scheduled, advance} = makeTestScheduler();
+    scheduler.setEvents(events);
+    scheduler.setLoop({start: 0, end: 2});
+    scheduler.play();
+    // the third pass starts at 2s
+    advance(1.85);
+
+    expect(scheduled.map(({ev}) => ev.id)).toEqual(['a', 'b', 'a', 'b']);
+    expect(scheduled[2].time).toBeCloseTo(1);
+    expect(scheduled[3].time).toBeCloseTo(1.5);
+  });
+});
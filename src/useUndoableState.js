@@ -0,0 +1,135 @@
+import {useReducer, useCallback, useMemo} from 'react';
+
+const NO_TRANSACTION = {};
+
+function applyUpdate(update, value) {
+  return typeof update === 'function' ? update(value) : update;
+}
+
+// the history reducer, exported for testing. state is as made by
+// initUndoableState
+export function undoableStateReducer(state, action) {
+  switch (action.type) {
+    case 'set': {
+      const present = applyUpdate(action.update, state.present);
+      if (present === state.present) return state;
+
+      if (state.transactionStart !== NO_TRANSACTION) {
+        // the entry is added when the transaction ends
+        return {
+          ...state,
+          present,
+          transactionRecorded: state.transactionRecorded || action.record,
+        };
+      }
+      if (!action.record) {
+        return {...state, present};
+      }
+      return {
+        ...state,
+        past: [...state.past, state.present].slice(-state.limit),
+        present,
+        future: [],
+      };
+    }
+    case 'undo': {
+      if (state.transactionStart !== NO_TRANSACTION) return state;
+      if (state.past.length === 0) return state;
+      return {
+        ...state,
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+      };
+    }
+    case 'redo': {
+      if (state.transactionStart !== NO_TRANSACTION) return state;
+      if (state.future.length === 0) return state;
+      return {
+        ...state,
+        past: [...state.past, state.present].slice(-state.limit),
+        present: state.future[0],
+        future: state.future.slice(1),
+      };
+    }
+    case 'beginTransaction': {
+      if (state.transactionStart !== NO_TRANSACTION) return state;
+      return {
+        ...state,
+        transactionStart: state.present,
+        transactionRecorded: false,
+      };
+    }
+    case 'endTransaction': {
+      if (state.transactionStart === NO_TRANSACTION) return state;
+      if (!state.transactionRecorded) {
+        return {...state, transactionStart: NO_TRANSACTION};
+      }
+      return {
+        ...state,
+        past: [...state.past, state.transactionStart].slice(-state.limit),
+        future: [],
+        transactionStart: NO_TRANSACTION,
+        transactionRecorded: false,
+      };
+    }
+    case 'cancelTransaction': {
+      if (state.transactionStart === NO_TRANSACTION) return state;
+      return {
+        ...state,
+        present: state.transactionStart,
+        transactionStart: NO_TRANSACTION,
+        transactionRecorded: false,
+      };
+    }
+    default:
+      throw new Error(`unknown action ${action.type}`);
+  }
+}
+
+export function initUndoableState({initialValue, limit}) {
+  return {
+    past: [],
+    present: typeof initialValue === 'function' ? initialValue() : initialValue,
+    future: [],
+    limit,
+    transactionStart: NO_TRANSACTION,
+    transactionRecorded: false,
+  };
+}
+
+// like useState, but keeps an undo/redo history of up to options.limit
+// entries. setState takes a second argument {record: false} to update the
+// value without adding a history entry. changes made between
+// beginTransaction() and endTransaction() become a single entry
+export default function useUndoableState(initialValue, options) {
+  const [state, dispatch] = useReducer(
+    undoableStateReducer,
+    {initialValue, limit: options?.limit ?? 100},
+    initUndoableState
+  );
+
+  const setState = useCallback(
+    (update, setOptions) =>
+      dispatch({type: 'set', update, record: setOptions?.record ?? true}),
+    []
+  );
+
+  const canUndo = state.past.length > 0;
+  const canRedo = state.future.length > 0;
+  const history = useMemo(
+    () => ({
+      canUndo,
+      canRedo,
+      undo: () => dispatch({type: 'undo'}),
+      redo: () => dispatch({type: 'redo'}),
+      beginTransaction: () => dispatch({type: 'beginTransaction'}),
+      endTransaction: () => dispatch({type: 'endTransaction'}),
+      // ends the transaction, reverting any changes made during it
+      cancelTransaction: () => dispatch({type: 'cancelTransaction'}),
+    }),
+    [canUndo, canRedo]
+  );
+
+  return [state.present, setState, history];
+}
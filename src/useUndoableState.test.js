@@ -0,0 +1,107 @@
+import {undoableStateReducer, initUndoableState} from './useUndoableState';
+
+// apply actions in order, starting from a history of initialValue
+function run(initialValue, actions, limit = 100) {
+  return actions.reduce(
+    undoableStateReducer,
+    initUndoableState({initialValue, limit})
+  );
+}
+
+const set = (update, record = true) => ({type: 'set', update, record});
+const UNDO = {type: 'undo'};
+const REDO = {type: 'redo'};
+const BEGIN = {type: 'beginTransaction'};
+const END = {type: 'endTransaction'};
+const CANCEL = {type: 'cancelTransaction'};
+
+describe('undoableStateReducer', () => {
+  it('undoes and redoes recorded changes', () => {
+    const state = run(0, [set(1), set((n) => n + 1)]);
+    expect(state.present).toBe(2);
+    expect(state.past).toEqual([0, 1]);
+
+    const undone = run(0, [set(1), set(2), UNDO, UNDO]);
+    expect(undone.present).toBe(0);
+    expect(undone.future).toEqual([1, 2]);
+
+    expect(run(0, [set(1), set(2), UNDO, UNDO, REDO]).present).toBe(1);
+  });
+
+  it('clears the redo history when a change is recorded', () => {
+    const state = run(0, [set(1), UNDO, set(3)]);
+    expect(state.present).toBe(3);
+    expect(state.future).toEqual([]);
+    expect(run(0, [set(1), UNDO, set(3), REDO]).present).toBe(3);
+  });
+
+  it("doesn't add an entry for unchanged values", () => {
+    expect(run(0, [set(0), set((n) => n)]).past).toEqual([]);
+  });
+
+  it("doesn't add entries for changes which aren't recorded", () => {
+    const state = run({notes: 0, selection: 0}, [
+      set((s) => ({...s, notes: 1})),
+      set((s) => ({...s, selection: 1}), false),
+    ]);
+    expect(state.present).toEqual({notes: 1, selection: 1});
+    expect(state.past).toEqual([{notes: 0, selection: 0}]);
+    // the unrecorded change is undone along with the recorded one before it
+    expect(undoableStateReducer(state, UNDO).present).toEqual({
+      notes: 0,
+      selection: 0,
+    });
+  });
+
+  it('groups changes in a transaction into one entry', () => {
+    const state = run(0, [BEGIN, set(1), set(2), set(3), END]);
+    expect(state.present).toBe(3);
+    expect(state.past).toEqual([0]);
+    expect(undoableStateReducer(state, UNDO).present).toBe(0);
+  });
+
+  it("doesn't add an entry for a transaction without recorded changes", () => {
+    expect(run(0, [BEGIN, END]).past).toEqual([]);
+    const state = run(0, [BEGIN, set(1, false), END]);
+    expect(state.present).toBe(1);
+    expect(state.past).toEqual([]);
+  });
+
+  it('adds an entry for a transaction with any recorded change', () => {
+    const state = run(0, [BEGIN, set(1), set(2, false), END]);
+    expect(state.present).toBe(2);
+    expect(state.past).toEqual([0]);
+  });
+
+  it('ignores undo and redo during a transaction', () => {
+    const state = run(0, [set(1), BEGIN, set(2), UNDO, REDO]);
+    expect(state.present).toBe(2);
+    expect(run(0, [set(1), UNDO, BEGIN, REDO]).present).toBe(0);
+  });
+
+  it('ignores nested and unmatched transaction actions', () => {
+    const state = run(0, [BEGIN, set(1), BEGIN, set(2), END]);
+    expect(state.past).toEqual([0]);
+    expect(run(0, [END, CANCEL, set(1)]).past).toEqual([0]);
+  });
+
+  it('reverts the changes in a cancelled transaction', () => {
+    const state = run(0, [set(1), BEGIN, set(2), set(3), CANCEL]);
+    expect(state.present).toBe(1);
+    expect(state.past).toEqual([0]);
+    // and is no longer in a transaction
+    expect(undoableStateReducer(state, UNDO).present).toBe(0);
+  });
+
+  it('keeps at most limit entries', () => {
+    const state = run(0, [set(1), set(2), set(3), set(4)], 2);
+    expect(state.past).toEqual([2, 3]);
+
+    const redone = run(0, [set(1), set(2), set(3), UNDO, UNDO, REDO, REDO], 2);
+    expect(redone.present).toBe(3);
+    expect(redone.past).toEqual([1, 2]);
+
+    const transacted = run(0, [set(1), set(2), BEGIN, set(3), END], 2);
+    expect(transacted.past).toEqual([1, 2]);
+  });
+});
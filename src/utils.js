@@ -2,6 +2,15 @@ export function range(size, startAt = 0) {
   return [...Array(size).keys()].map((i) => i + startAt);
 }
 
+let idCounter = 0;
+// unique within the page, and (thanks to the timestamp and random part) very
+// likely unique across pages too, eg. for items pasted from another tab
+export function uniqueId() {
+  idCounter++;
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${random}-${idCounter}`;
+}
+
 function scaleMapper(domain, range, rangeSize, domainValue) {
   // normalize to 0.0...1.0
   const normalized = (domainValue - domain[0]) / (domain[1] - domain[0]);
@@ -107,6 +116,55 @@ export function scaleDiscreteQuantized(domain, range, options = {}) {
     invert(rangeValue) {
       return linear.invert(rangeValue);
     },
+    // the range is quantized to multiples of this
+    stepSize: options.stepSize,
     ...aliasMixin(options),
   };
 }
+
+// the smallest 'nice' number (1, 2 or 5 times a power of 10) which is at least
+// minStep
+export function niceStep(minStep) {
+  const magnitude = 10 ** Math.floor(Math.log10(minStep));
+  const nice = [1, 2, 5, 10].find((n) => n * magnitude >= minStep);
+  return nice * magnitude;
+}
+
+// ticks for a scale (from scaleLinear or scaleDiscreteQuantized) between
+// domainMin and domainMax, at least minSpacing apart in the domain. the step
+// between ticks is in the range, and is the smallest of options.steps (a list
+// in ascending order, eg. of musical note lengths) which is far enough apart,
+// or else a nice number. returns {step, ticks}, with ticks as {value,
+// position} where position is in the domain
+export function getTicks(
+  scale,
+  domainMin,
+  domainMax,
+  minSpacing,
+  options = {}
+) {
+  // invert() is linear for both types of scale, so we use it to go from the
+  // domain to the range without any quantization
+  const domainAtZero = scale.invert(0);
+  const domainPerRangeUnit = scale.invert(1) - domainAtZero;
+  const toRange = (domainValue) =>
+    (domainValue - domainAtZero) / domainPerRangeUnit;
+
+  const minStep = minSpacing / Math.abs(domainPerRangeUnit);
+  const step =
+    options.steps?.find((step) => step >= minStep) ?? niceStep(minStep);
+
+  const rangeMin = Math.min(toRange(domainMin), toRange(domainMax));
+  const rangeMax = Math.max(toRange(domainMin), toRange(domainMax));
+  const ticks = [];
+  for (
+    let index = Math.ceil(rangeMin / step);
+    index * step <= rangeMax;
+    index++
+  ) {
+    // avoid floating point error in values like 0.6000000000000001
+    const value = Number((index * step).toPrecision(12));
+    ticks.push({value, position: scale.invert(value)});
+  }
+  return {step, ticks};
+}
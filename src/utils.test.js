@@ -0,0 +1,84 @@
+import {niceStep, getTicks, scaleLinear, scaleDiscreteQuantized} from './utils';
+
+// as in Roygbiv, with steps in quarter notes
+const STEPS = [1, 2, 4, 8, 16, 32, 64, 128, 256];
+// 10 pixels per quarter note
+const quantizer = scaleDiscreteQuantized([0, 10], [0, 1], {
+  stepSize: 1,
+  round: Math.round,
+});
+
+describe('niceStep', () => {
+  it('gives 1, 2 or 5 times a power of 10', () => {
+    expect(niceStep(1)).toBe(1);
+    expect(niceStep(1.5)).toBe(2);
+    expect(niceStep(3)).toBe(5);
+    expect(niceStep(6)).toBe(10);
+    expect(niceStep(11)).toBe(20);
+    expect(niceStep(300)).toBe(500);
+  });
+
+  it('works for steps smaller than 1', () => {
+    expect(niceStep(0.03)).toBeCloseTo(0.05);
+    expect(niceStep(0.2)).toBeCloseTo(0.2);
+    expect(niceStep(0.7)).toBeCloseTo(1);
+  });
+});
+
+describe('getTicks', () => {
+  it('uses the smallest step which is far enough apart at each zoom', () => {
+    // as Roygbiv does for grid lines at least 8 screen pixels apart
+    const stepAtZoom = (zoom) =>
+      getTicks(quantizer, 0, 1000, 8 / zoom, {steps: STEPS}).step;
+    // quarter notes are 10px at a zoom of 1, and 8px apart at 0.8
+    expect(stepAtZoom(10)).toBe(1);
+    expect(stepAtZoom(0.8)).toBe(1);
+    expect(stepAtZoom(0.5)).toBe(2);
+    expect(stepAtZoom(0.1)).toBe(8);
+    expect(stepAtZoom(0.004)).toBe(256);
+  });
+
+  it('uses a nice step past the last of the steps', () => {
+    const {step, ticks} = getTicks(quantizer, 0, 20000, 2570, {steps: STEPS});
+    expect(step).toBe(500);
+    expect(ticks.map((tick) => tick.value)).toEqual([0, 500, 1000, 1500, 2000]);
+  });
+
+  it('uses nice steps without a list of steps', () => {
+    expect(getTicks(quantizer, 0, 100, 25).step).toBe(5);
+  });
+
+  it('gives ticks from the first multiple of the step in the domain', () => {
+    const {ticks} = getTicks(quantizer, 15, 65, 20, {steps: STEPS});
+    expect(ticks).toEqual([
+      {value: 2, position: 20},
+      {value: 4, position: 40},
+      {value: 6, position: 60},
+    ]);
+  });
+
+  it('includes ticks before zero', () => {
+    const {ticks} = getTicks(quantizer, -45, 5, 20, {steps: STEPS});
+    expect(ticks.map((tick) => tick.value)).toEqual([-4, -2, 0]);
+  });
+
+  it('gives values without floating point noise', () => {
+    // 1 in the range is 1 in the domain, so ticks are 0.1 apart
+    const linear = scaleLinear([0, 1], [0, 1]);
+    const {step, ticks} = getTicks(linear, 0, 1, 0.1);
+    expect(step).toBeCloseTo(0.1);
+    expect(ticks.map((tick) => tick.value)).toEqual([
+      0,
+      0.1,
+      0.2,
+      0.3,
+      0.4,
+      0.5,
+      0.6,
+      0.7,
+      0.8,
+      0.9,
+      1,
+    ]);
+  });
+});
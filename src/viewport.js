@@ -3,13 +3,19 @@ import React from 'react';
 import Vector2 from './Vector2';
 import AABB from './AABB';
 import {getMouseEventPos} from './mouseUtils';
-import {clamp} from './mathUtils';
+import {clamp, lerp, easeOutCubic} from './mathUtils';
 
 import {Behavior} from './behavior';
+import {getSelectionBox} from './selection';
 
 const {useMemo, useState} = React;
 
 const SELECT_MAX_MOVE_DISTANCE = 5;
+// if the pointer stops for longer than this (in ms) before being released,
+// there's no fling
+const FLING_MAX_RELEASE_DELAY = 50;
+// how much each pointer move contributes to the velocity estimate
+const VELOCITY_SMOOTHING = 0.8;
 
 export function zoomAtPoint(
   {zoom: prevZoom, pan: prevPan},
@@ -32,32 +38,103 @@ export function zoomAtPoint(
   };
 }
 
+// with props.fling and props.animator (a ViewportAnimator), the view keeps
+// moving after the pointer is released, slowing down by props.friction. with
+// props.bounds (see constrainViewportState) and props.elastic, the view can be
+// dragged past the bounds, and springs back when released
 export class DragPanBehavior extends Behavior {
-  isMouseDown = false;
+  // the pointer which is panning, or null if none is down
+  pointerId = null;
   panAtDragStart = new Vector2();
   currentPan = new Vector2();
   startMousePos = new Vector2();
+  // in pixels per ms, for flinging
+  velocity = new Vector2();
+  lastMousePos = new Vector2();
+  lastMoveTime = 0;
 
-  onmousedown = (e) => {
-    this.isMouseDown = true;
+  onpointerdown = (e) => {
+    // only pan with the first finger. multi-touch gestures are handled by
+    // PinchZoomBehavior
+    if (!e.isPrimary) return;
+    this.pointerId = e.pointerId;
 
     this.panAtDragStart.copyFrom(this.props.viewportState.pan);
     this.startMousePos.copyFrom(getMouseEventPos(e, this.canvas));
+    this.lastMousePos.copyFrom(this.startMousePos);
+    this.lastMoveTime = e.timeStamp;
+    this.velocity.origin();
   };
 
-  onmouseup = (e) => {
-    this.isMouseDown = false;
-    this.controller.releaseLock('drag', this);
+  onpointerup = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.pointerId = null;
+    if (this.hasLock('drag')) {
+      this.onDragEnd(e);
+    }
+    this.releaseLock('drag');
   };
 
-  onmousemove = (e) => {
-    if (this.isMouseDown && !this.hasLock('drag')) {
+  onDragEnd(e) {
+    const {viewportState, animator} = this.props;
+    const constrained = constrainToBoundsProp(viewportState, this.props);
+    if (
+      constrained.pan.x !== viewportState.pan.x ||
+      constrained.pan.y !== viewportState.pan.y
+    ) {
+      // overscrolled, spring back into bounds
+      if (animator) {
+        animator.animateTo(viewportState, constrained, {easing: easeOutCubic});
+      } else {
+        this.props.setViewportState?.(constrained);
+      }
+      return;
+    }
+
+    if (
+      e.type === 'pointerup' &&
+      this.props.fling &&
+      e.timeStamp - this.lastMoveTime < FLING_MAX_RELEASE_DELAY
+    ) {
+      animator?.fling(viewportState, this.velocity, {
+        friction: this.props.friction,
+        constrain: this.props.bounds
+          ? (s) => constrainToBoundsProp(s, this.props)
+          : null,
+      });
+    }
+  }
+
+  updateVelocity(e) {
+    const mousePos = getMouseEventPos(e, this.canvas);
+    const elapsed = e.timeStamp - this.lastMoveTime;
+    if (elapsed > 0) {
+      const moveVelocity = mousePos
+        .clone()
+        .sub(this.lastMousePos)
+        .div({x: elapsed, y: elapsed});
+      this.velocity.copyFrom({
+        x: lerp(this.velocity.x, moveVelocity.x, VELOCITY_SMOOTHING),
+        y: lerp(this.velocity.y, moveVelocity.y, VELOCITY_SMOOTHING),
+      });
+    }
+    this.lastMousePos.copyFrom(mousePos);
+    this.lastMoveTime = e.timeStamp;
+  }
+
+  onpointermove = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.updateVelocity(e);
+
+    if (!this.hasLock('drag')) {
       const distanceMoved = getMouseEventPos(e, this.canvas).distanceTo(
         this.startMousePos
       );
       if (distanceMoved > SELECT_MAX_MOVE_DISTANCE) {
         // now we know for sure we're dragging
-        this.controller.acquireLock('drag', this, this.priority);
+        if (this.acquireLock('drag')) {
+          this.capturePointer(e);
+        }
       }
     }
 
@@ -72,24 +149,43 @@ export class DragPanBehavior extends Behavior {
           x: -1,
           y: -1,
         });
-        return {
-          ...s,
-          pan: translation.add(this.panAtDragStart),
-          // pan: s.pan.clone().mul(s.zoom).sub(movement).div(s.zoom),
-        };
+        return constrainToBoundsProp(
+          {
+            ...s,
+            pan: translation.add(this.panAtDragStart),
+            // pan: s.pan.clone().mul(s.zoom).sub(movement).div(s.zoom),
+          },
+          this.props,
+          {elastic: this.props.elastic}
+        );
       });
     }
   };
 
+  onReleaseLock(type) {
+    // lost the lock to a higher priority behavior, stop panning until the next
+    // pointerdown
+    this.pointerId = null;
+  }
+
+  onAnyLockChange(type, locked) {
+    // another behavior (eg. a pinch gesture) took over this pointer before we
+    // started dragging
+    if (type === 'drag' && locked && !this.hasLock(type)) {
+      this.pointerId = null;
+    }
+  }
+
   onEnabled() {
-    this.isMouseDown = false;
+    this.pointerId = null;
   }
 
   getEventHandlers() {
     return {
-      mousemove: this.onmousemove,
-      mouseup: this.onmouseup,
-      mousedown: this.onmousedown,
+      pointermove: this.onpointermove,
+      pointerup: this.onpointerup,
+      pointercancel: this.onpointerup,
+      pointerdown: this.onpointerdown,
     };
   }
 }
@@ -105,10 +201,15 @@ export class WheelScrollBehavior extends Behavior {
     let deltaX = e.deltaX;
 
     this.props.setViewportState?.((s) => {
-      return {
-        ...s,
-        pan: s.pan.clone().add(new Vector2({x: deltaX, y: deltaY}).div(s.zoom)),
-      };
+      return constrainToBoundsProp(
+        {
+          ...s,
+          pan: s.pan
+            .clone()
+            .add(new Vector2({x: deltaX, y: deltaY}).div(s.zoom)),
+        },
+        this.props
+      );
     });
   };
 
@@ -136,41 +237,292 @@ export class WheelZoomBehavior extends Behavior {
 
     const zoomScaleFactor = 1 + zoomSpeed * -deltaY;
 
+    this.props.setViewportState?.((s) =>
+      constrainToBoundsProp(
+        zoomAtPointByFactor(s, mousePosInView, zoomScaleFactor, this.props),
+        this.props
+      )
+    );
+  };
+
+  getEventHandlers() {
+    return {
+      wheel: this.onwheel,
+    };
+  }
+}
+
+// handles trackpad pinch (which browsers deliver as wheel events with ctrlKey
+// set) and multi-touch pinch, where the two pointers also pan the view as their
+// centroid moves. give it a higher priority than other wheel and drag behaviors,
+// as it consumes the events which are part of a gesture
+export class PinchZoomBehavior extends Behavior {
+  // the pointers making the current gesture, or null if there isn't one
+  gesturePointerIds = null;
+  prevCentroid = new Vector2();
+  prevDistance = 0;
+
+  getGestureGeometry() {
+    const [a, b] = this.gesturePointerIds.map(
+      (id) => this.controller.activePointers.get(id).position
+    );
+    return {
+      centroid: a.clone().add(b).div({x: 2, y: 2}),
+      distance: a.distanceTo(b),
+    };
+  }
+
+  onpointerdown = (e) => {
+    if (this.gesturePointerIds) return;
+    const activePointers = this.controller.activePointers;
+    if (activePointers.size < 2) return;
+
+    if (this.acquireLock('drag')) {
+      this.consumeEvent(e);
+      this.gesturePointerIds = [...activePointers.keys()].slice(0, 2);
+      this.gesturePointerIds.forEach((id) =>
+        this.controller.capturePointer(id)
+      );
+
+      const {centroid, distance} = this.getGestureGeometry();
+      this.prevCentroid.copyFrom(centroid);
+      this.prevDistance = distance;
+    }
+  };
+
+  onpointermove = (e) => {
+    if (!this.gesturePointerIds?.includes(e.pointerId)) return;
+    if (!this.hasLock('drag')) return;
+    this.consumeEvent(e);
+
+    const {centroid, distance} = this.getGestureGeometry();
+    const zoomScaleFactor =
+      this.prevDistance > 0 ? distance / this.prevDistance : 1;
+    const movement = centroid.clone().sub(this.prevCentroid);
+    this.prevCentroid.copyFrom(centroid);
+    this.prevDistance = distance;
+
     this.props.setViewportState?.((s) => {
-      const updatedZoom = s.zoom
-        .clone()
-        .mul({x: zoomScaleFactor, y: zoomScaleFactor});
-      const updated = zoomInAtPointClamped(
+      const updated = zoomAtPointByFactor(
         s,
-        mousePosInView,
-        updatedZoom,
-        this.props.minZoom,
-        this.props.maxZoom
+        centroid,
+        zoomScaleFactor,
+        this.props
+      );
+      return constrainToBoundsProp(
+        {
+          ...updated,
+          // pan is in world (unzoomed) coords so we must scale our translations
+          pan: updated.pan.clone().sub(movement.clone().div(updated.zoom)),
+        },
+        this.props
       );
+    });
+  };
 
-      if (this.props?.dimensions?.x !== true) {
-        updated.zoom.x = s.zoom.x;
-        updated.pan.x = s.pan.x;
-      }
-      if (this.props?.dimensions?.y !== true) {
-        updated.zoom.y = s.zoom.y;
-        updated.pan.y = s.pan.y;
-      }
+  onpointerup = (e) => {
+    if (!this.gesturePointerIds?.includes(e.pointerId)) return;
+    this.gesturePointerIds = null;
+    this.releaseLock('drag');
+  };
 
-      return {
-        ...s,
-        ...updated,
-      };
-    });
+  onwheel = (e) => {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.consumeEvent(e);
+
+    const mousePosInView = getMouseEventPos(e, this.canvas);
+
+    // manually tuned for trackpad pinch deltas, which are much smaller than
+    // mousewheel ones
+    const pinchSpeed = 0.01;
+    const zoomScaleFactor = Math.exp(pinchSpeed * -e.deltaY);
+
+    this.props.setViewportState?.((s) =>
+      constrainToBoundsProp(
+        zoomAtPointByFactor(s, mousePosInView, zoomScaleFactor, this.props),
+        this.props
+      )
+    );
   };
 
+  onReleaseLock(type) {
+    this.gesturePointerIds = null;
+  }
+
   getEventHandlers() {
     return {
+      pointerdown: this.onpointerdown,
+      pointermove: this.onpointermove,
+      pointerup: this.onpointerup,
+      pointercancel: this.onpointerup,
       wheel: this.onwheel,
     };
   }
 }
 
+// zoom into a region by dragging a rect around it, shown with
+// props.setRegionRect (eg. the setSelectBoxRect of a SelectBox). clicking
+// without dragging zooms in by props.clickZoomFactor at the pointer, or out
+// with alt held. props: viewportState, setViewportState, viewportDimensions,
+// and optionally animator, bounds, minZoom, maxZoom and dimensions (for
+// clicks, by default both)
+export class ZoomRegionBehavior extends Behavior {
+  // the pointer which is drawing the region, or null if none is
+  pointerId = null;
+  regionStart = new Vector2();
+  regionEnd = new Vector2();
+  autoScroll = true;
+
+  onAutoScroll(delta) {
+    this.regionStart.sub(delta);
+  }
+
+  onDisabled() {
+    this.props.setRegionRect?.(null);
+  }
+
+  onPointerDown = (e) => {
+    if (!e.isPrimary) return;
+    if (this.acquireLock('drag')) {
+      this.capturePointer(e);
+      this.pointerId = e.pointerId;
+      this.regionStart.copyFrom(getMouseEventPos(e, this.canvas));
+      this.regionEnd.copyFrom(this.regionStart);
+    }
+  };
+
+  onPointerUp = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.releaseLock('drag');
+
+    const regionRect = getSelectionBox(this.regionStart, this.regionEnd);
+    const dragged = {
+      x: regionRect.size.x >= SELECT_MAX_MOVE_DISTANCE,
+      y: regionRect.size.y >= SELECT_MAX_MOVE_DISTANCE,
+    };
+    if (!dragged.x && !dragged.y) {
+      const zoomScaleFactor = this.props.clickZoomFactor ?? 2;
+      this.zoomTo(
+        zoomAtPointByFactor(
+          this.props.viewportState,
+          this.regionEnd,
+          e.altKey ? 1 / zoomScaleFactor : zoomScaleFactor,
+          {dimensions: {x: true, y: true}, ...this.props}
+        )
+      );
+      return;
+    }
+
+    const {viewportState, viewportDimensions} = this.props;
+    const viewport = new ViewportTransformer(viewportState);
+    const fitted = makeViewportStateFromExtents(
+      {
+        min: viewport.positionFromScreen(regionRect.position),
+        max: viewport.positionFromScreen(
+          regionRect.position.clone().add(regionRect.size)
+        ),
+      },
+      viewportDimensions
+    );
+    // a region dragged out along only one axis only zooms along that axis
+    ['x', 'y'].forEach((axis) => {
+      if (!dragged[axis]) {
+        fitted.zoom[axis] = viewportState.zoom[axis];
+        fitted.pan[axis] = viewportState.pan[axis];
+      }
+    });
+    // if the zoom is limited, keep the region centered
+    this.zoomTo(
+      zoomInAtPointClamped(
+        fitted,
+        new Vector2({
+          x: viewportDimensions.width / 2,
+          y: viewportDimensions.height / 2,
+        }),
+        fitted.zoom,
+        this.props.minZoom,
+        this.props.maxZoom
+      )
+    );
+  };
+
+  zoomTo(viewportState) {
+    const {animator} = this.props;
+    const updated = constrainToBoundsProp(viewportState, this.props);
+    if (animator) {
+      animator.animateTo(this.props.viewportState, updated);
+    } else {
+      this.props.setViewportState?.(updated);
+    }
+  }
+
+  onPointerCancel = (e) => {
+    if (e.pointerId !== this.pointerId) return;
+    this.releaseLock('drag');
+  };
+
+  onPointerMove = (e) => {
+    if (!this.hasLock('drag') || e.pointerId !== this.pointerId) return;
+
+    this.regionEnd.copyFrom(getMouseEventPos(e, this.canvas));
+    this.props.setRegionRect?.(
+      getSelectionBox(this.regionStart, this.regionEnd)
+    );
+  };
+
+  onReleaseLock(type) {
+    this.pointerId = null;
+    this.props.setRegionRect?.(null);
+  }
+
+  getEventHandlers() {
+    return {
+      pointermove: this.onPointerMove,
+      pointerup: this.onPointerUp,
+      pointercancel: this.onPointerCancel,
+      pointerdown: this.onPointerDown,
+    };
+  }
+}
+
+// zoom by multiplying the current zoom by zoomScaleFactor, keeping pointInView
+// at the same position on screen. only zooms in the dimensions enabled in
+// options.dimensions (eg. {x: true}), and clamps to options.minZoom/maxZoom
+export function zoomAtPointByFactor(
+  viewportState,
+  pointInView,
+  zoomScaleFactor,
+  options
+) {
+  const updatedZoom = viewportState.zoom
+    .clone()
+    .mul({x: zoomScaleFactor, y: zoomScaleFactor});
+  const updated = zoomInAtPointClamped(
+    viewportState,
+    pointInView,
+    updatedZoom,
+    options?.minZoom,
+    options?.maxZoom
+  );
+
+  if (options?.dimensions?.x !== true) {
+    updated.zoom.x = viewportState.zoom.x;
+    updated.pan.x = viewportState.pan.x;
+  }
+  if (options?.dimensions?.y !== true) {
+    updated.zoom.y = viewportState.zoom.y;
+    updated.pan.y = viewportState.pan.y;
+  }
+
+  return {
+    ...viewportState,
+    ...updated,
+  };
+}
+
 export function zoomInAtPointClamped(
   viewportState,
   pointInView,
@@ -186,6 +538,80 @@ export function zoomInAtPointClamped(
   return zoomAtPoint(viewportState, pointInView, updatedZoomClamped);
 }
 
+// how far (in screen pixels) the view moves past its bounds when dragged
+// distance past them with elastic overscroll. it gets harder to pull the
+// further you go, and never goes further than viewSize
+function rubberBand(distance, viewSize) {
+  const resistance = 0.55;
+  return (
+    Math.sign(distance) *
+    viewSize *
+    (1 - 1 / ((Math.abs(distance) * resistance) / viewSize + 1))
+  );
+}
+
+function constrainPanAxis(pan, zoom, viewSize, min, max, padding, elastic) {
+  const paddingWorld = padding / zoom;
+  const visibleSize = viewSize / zoom;
+  // the range of pan which keeps the view within the bounds. when the bounds
+  // are smaller than the view, it keeps the bounds within the view instead
+  const a = min - paddingWorld;
+  const b = max + paddingWorld - visibleSize;
+  const clamped = clamp(pan, Math.min(a, b), Math.max(a, b));
+  if (!elastic) return clamped;
+  return clamped + rubberBand((pan - clamped) * zoom, viewSize) / zoom;
+}
+
+// constrain the pan so the view stays within bounds (plus padding), given the
+// viewport's size. bounds are {min, max} in world coords, with optional
+// padding (in screen pixels, either a number or {x, y}) and dimensions (eg.
+// {x: true}) to only constrain some axes (by default both are constrained).
+// with options.elastic, the view can be pulled past the bounds, with
+// increasing resistance
+export function constrainViewportState(
+  viewportState,
+  viewportDimensions,
+  bounds,
+  options
+) {
+  const padding = normalizePadding(bounds.padding);
+  const dimensions = bounds.dimensions ?? {x: true, y: true};
+  const viewSize = {x: viewportDimensions.width, y: viewportDimensions.height};
+
+  const pan = viewportState.pan.clone();
+  ['x', 'y'].forEach((axis) => {
+    if (dimensions[axis] !== true) return;
+    pan[axis] = constrainPanAxis(
+      pan[axis],
+      viewportState.zoom[axis],
+      viewSize[axis],
+      bounds.min[axis],
+      bounds.max[axis],
+      padding[axis],
+      options?.elastic
+    );
+  });
+  return {...viewportState, pan};
+}
+
+// padding is either a number or {x, y}
+function normalizePadding(padding) {
+  return typeof padding === 'number'
+    ? {x: padding, y: padding}
+    : padding ?? {x: 0, y: 0};
+}
+
+// for behaviors with optional bounds and viewportDimensions props
+function constrainToBoundsProp(viewportState, props, options) {
+  if (!props.bounds) return viewportState;
+  return constrainViewportState(
+    viewportState,
+    props.viewportDimensions,
+    props.bounds,
+    options
+  );
+}
+
 export function makeViewportState() {
   return {
     // zoom represents the magnification factor eg. zoom: 2 will draw at 2x size
@@ -197,15 +623,23 @@ export function makeViewportState() {
   };
 }
 
-export function makeViewportStateFromExtents(extents, viewportDimensions) {
+// fit extents (in world coords) to the viewport. with options.padding (in
+// screen pixels, either a number or {x, y}), that much space is left around
+// them
+export function makeViewportStateFromExtents(
+  extents,
+  viewportDimensions,
+  options
+) {
+  const padding = normalizePadding(options?.padding);
   const viewportDimensionsVec = new Vector2({
-    x: viewportDimensions.width,
-    y: viewportDimensions.height,
+    x: Math.max(viewportDimensions.width - padding.x * 2, 1),
+    y: Math.max(viewportDimensions.height - padding.y * 2, 1),
   });
   const aabb = new AABB(extents);
   // 1/size gives zoom level to exactly contain that size
   const zoom = viewportDimensionsVec.div(aabb.size());
-  const pan = new Vector2(extents.min);
+  const pan = new Vector2(extents.min).sub(new Vector2(padding).div(zoom));
 
   return {zoom, pan};
 }
@@ -256,6 +690,18 @@ export class ViewportTransformer {
   }
 }
 
+// the region of the world (in unzoomed coords) which is visible in a viewport
+// with viewportDimensions
+export function getVisibleWorldAABB(viewport, viewportDimensions) {
+  return new AABB({
+    min: viewport.positionFromScreen({x: 0, y: 0}),
+    max: viewport.positionFromScreen({
+      x: viewportDimensions.width,
+      y: viewportDimensions.height,
+    }),
+  });
+}
+
 export function useViewport({zoom, pan}) {
   return useMemo(() => new ViewportTransformer({zoom, pan}), [zoom, pan]);
 }
@@ -0,0 +1,140 @@
+import React from 'react';
+
+import Vector2 from './Vector2';
+import {Behavior} from './behavior';
+import useRefOnce from './useRefOnce';
+import {lerp, easeInOutCubic} from './mathUtils';
+
+const {useEffect} = React;
+
+const DEFAULT_DURATION = 300;
+// how much of the fling velocity remains after each frame (at 60fps)
+export const DEFAULT_FLING_FRICTION = 0.92;
+const FRAME_DURATION = 1000 / 60;
+// in pixels per ms. flings stop when they slow down below this
+const MIN_FLING_SPEED = 0.01;
+
+// zoom is interpolated exponentially, so zooming from 1x to 4x passes 2x at
+// the halfway point, which looks like a constant zoom speed
+export function interpolateViewportState(from, to, t) {
+  return {
+    ...to,
+    zoom: new Vector2({
+      x: from.zoom.x * (to.zoom.x / from.zoom.x) ** t,
+      y: from.zoom.y * (to.zoom.y / from.zoom.y) ** t,
+    }),
+    pan: new Vector2({
+      x: lerp(from.pan.x, to.pan.x, t),
+      y: lerp(from.pan.y, to.pan.y, t),
+    }),
+  };
+}
+
+// animates viewport state by calling setViewportState every animation frame.
+// only one animation runs at a time: starting one cancels any already running
+export class ViewportAnimator {
+  frame = null;
+
+  constructor({
+    setViewportState,
+    requestAnimationFrame = (fn) => window.requestAnimationFrame(fn),
+    cancelAnimationFrame = (frame) => window.cancelAnimationFrame(frame),
+    now = () => performance.now(),
+  }) {
+    this.setViewportState = setViewportState;
+    this.requestAnimationFrame = requestAnimationFrame;
+    this.cancelAnimationFrame = cancelAnimationFrame;
+    this.now = now;
+  }
+
+  isAnimating() {
+    return this.frame != null;
+  }
+
+  cancel() {
+    if (this.frame == null) return;
+    this.cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  // calls step(elapsed, delta) (in ms) every frame until it returns false
+  run(step) {
+    this.cancel();
+    const startTime = this.now();
+    let prevTime = startTime;
+    const onFrame = () => {
+      const time = this.now();
+      const running = step(time - startTime, time - prevTime);
+      prevTime = time;
+      this.frame = running ? this.requestAnimationFrame(onFrame) : null;
+    };
+    this.frame = this.requestAnimationFrame(onFrame);
+  }
+
+  // tween from one viewport state to another
+  animateTo(
+    from,
+    to,
+    {duration = DEFAULT_DURATION, easing = easeInOutCubic} = {}
+  ) {
+    this.run((elapsed) => {
+      const progress = Math.min(elapsed / duration, 1);
+      this.setViewportState(
+        interpolateViewportState(from, to, easing(progress))
+      );
+      return progress < 1;
+    });
+  }
+
+  // keep panning from a viewport state at velocity (in screen pixels per ms,
+  // in the direction the content moves), slowing down by friction. constrain
+  // (eg. using constrainViewportState) limits where the view can go, and stops
+  // the movement along an axis when it's reached the limit
+  fling(from, velocity, {friction = DEFAULT_FLING_FRICTION, constrain} = {}) {
+    const current = new Vector2(velocity);
+    let state = from;
+    this.run((elapsed, delta) => {
+      const decay = friction ** (delta / FRAME_DURATION);
+      current.mul({x: decay, y: decay});
+      const movement = current.clone().mul({x: delta, y: delta});
+      const moved = {
+        ...state,
+        // pan is in world (unzoomed) coords, and moves opposite to the content
+        pan: state.pan.clone().sub(movement.div(state.zoom)),
+      };
+      state = constrain ? constrain(moved) : moved;
+      if (state.pan.x !== moved.pan.x) current.x = 0;
+      if (state.pan.y !== moved.pan.y) current.y = 0;
+      this.setViewportState(state);
+      return Math.hypot(current.x, current.y) > MIN_FLING_SPEED;
+    });
+  }
+}
+
+export function useViewportAnimator(setViewportState) {
+  const animator = useRefOnce(() => new ViewportAnimator({setViewportState}))
+    .current;
+  animator.setViewportState = setViewportState;
+
+  useEffect(() => () => animator.cancel(), [animator]);
+
+  return animator;
+}
+
+// stops any running animation of props.animator when the user interacts with
+// the canvas, so they don't have to fight it. give it a higher priority than
+// other behaviors so it sees events before they're consumed, and so that
+// animations started in response to an event aren't immediately cancelled
+export class InterruptAnimationBehavior extends Behavior {
+  interrupt = () => {
+    this.props.animator?.cancel();
+  };
+
+  getEventHandlers() {
+    return {
+      pointerdown: this.interrupt,
+      wheel: this.interrupt,
+      keydown: this.interrupt,
+    };
+  }
+}
@@ -1,16 +1,18 @@
 import React from 'react';
 
-const {useEffect, useState} = React;
+const {useEffect, useLayoutEffect, useState} = React;
 
 function debounce(fn, delay) {
   let timer;
-  return (...args) => {
+  const debounced = (...args) => {
     clearTimeout(timer);
     timer = setTimeout(() => {
       timer = null;
       fn(...args);
     }, delay);
   };
+  debounced.cancel = () => clearTimeout(timer);
+  return debounced;
 }
 
 export function useWindowDimensions() {
@@ -20,15 +22,18 @@ export function useWindowDimensions() {
   });
 
   useEffect(() => {
-    window.addEventListener(
-      'resize',
-      debounce(() => {
-        setWindowDimensions({
-          width: window.innerWidth,
-          height: window.innerHeight,
-        });
-      }, 300)
-    );
+    const onResize = debounce(() => {
+      setWindowDimensions({
+        width: window.innerWidth,
+        height: window.innerHeight,
+      });
+    }, 300);
+    window.addEventListener('resize', onResize);
+
+    return () => {
+      window.removeEventListener('resize', onResize);
+      onResize.cancel();
+    };
   }, []);
 
   return windowDimensions;
@@ -37,3 +42,50 @@ export function useWindowDimensions() {
 export function getDPR() {
   return window.devicePixelRatio || 1;
 }
+
+// the devicePixelRatio, updated when it changes, eg. when the window is moved
+// to a monitor with a different pixel density, or the page is zoomed
+export function useDevicePixelRatio() {
+  const [dpr, setDPR] = useState(getDPR);
+
+  useEffect(() => {
+    // this only matches the current dpr, so it changes when the dpr does
+    const media = window.matchMedia(`(resolution: ${dpr}dppx)`);
+    const onChange = () => setDPR(getDPR());
+    media.addEventListener('change', onChange);
+    return () => media.removeEventListener('change', onChange);
+  }, [dpr]);
+
+  return dpr;
+}
+
+// the size of an element (excluding its border) and the devicePixelRatio,
+// updated when either changes. pass ref to the element. until it's rendered,
+// dimensions are initialDimensions
+export function useElementDimensions({
+  initialDimensions = {width: 0, height: 0},
+} = {}) {
+  const [element, setElement] = useState(null);
+  const [dimensions, setDimensions] = useState(initialDimensions);
+  const dpr = useDevicePixelRatio();
+
+  // measure before the first paint, so nothing is drawn at the wrong size
+  useLayoutEffect(() => {
+    if (!element) return;
+
+    const measure = () => {
+      const width = element.clientWidth;
+      const height = element.clientHeight;
+      setDimensions((prev) =>
+        prev.width === width && prev.height === height ? prev : {width, height}
+      );
+    };
+    measure();
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [element]);
+
+  return {ref: setElement, dimensions, dpr};
+}